@@ -2,8 +2,28 @@
 
 const Blockchain = require('./blockchain.js');
 
+const StateMap = require('./state-map.js');
+const ValidationError = require('./validation-error.js');
+
 const utils = require('./utils.js');
 
+/**
+ * Merges two sorted arrays of strings into a new sorted array.
+ *
+ * @param {Array} a - A sorted array.
+ * @param {Array} b - Another sorted array.
+ *
+ * @returns {Array} - The sorted elements of both arrays.
+ */
+function mergeSorted(a, b) {
+  let merged = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    merged.push(a[i] < b[j] ? a[i++] : b[j++]);
+  }
+  return merged.concat(a.slice(i), b.slice(j));
+}
+
 /**
  * A block is a collection of transactions, with a hash connecting it
  * to a previous block.
@@ -20,15 +40,27 @@ module.exports = class Block {
    * @param {Number} [target] - The POW target.  The miner must find a proof that
    *      produces a smaller value when hashed.
    * @param {Number} [coinbaseReward] - The gold that a miner earns for finding a block proof.
+   *      If omitted, the reward follows the blockchain's reward schedule.
    */
-  constructor(rewardAddr, prevBlock, target=Blockchain.POW_TARGET, coinbaseReward=Blockchain.COINBASE_AMT_ALLOWED) {
+  constructor(rewardAddr, prevBlock, target=Blockchain.POW_TARGET, coinbaseReward) {
     this.prevBlockHash = prevBlock ? prevBlock.hashVal() : null;
     this.target = target;
 
+    // The genesis block identifies the blockchain, so only later blocks need
+    // to record which blockchain they belong to.
+    if (prevBlock) this.chainId = Blockchain.CHAIN_ID;
+
+    // The height of the block in the blockchain.
+    this.chainLength = prevBlock ? prevBlock.chainLength+1 : 0;
+
     // Get the balances and nonces from the previous block, if available.
     // Note that balances and nonces are NOT part of the serialized format.
-    this.balances = prevBlock ? new Map(prevBlock.balances) : new Map();
-    this.nextNonce = prevBlock ? new Map(prevBlock.nextNonce) : new Map();
+    if (prevBlock) {
+      this.inheritState(prevBlock);
+    } else {
+      this.balances = new Map();
+      this.nextNonce = new Map();
+    }
 
     if (prevBlock && prevBlock.rewardAddr) {
       // Add the previous block's rewards to the miner who found the proof.
@@ -49,19 +81,21 @@ module.exports = class Block {
     // }
 
 
-    // Used to determine the winner between competing chains.
-    // Note that this is a little simplistic -- an attacker
-    // could make a long, but low-work chain.  However, this works
-    // well enough for us.
-    this.chainLength = prevBlock ? prevBlock.chainLength+1 : 0;
+    // Used to determine the winner between competing chains.  Like balances,
+    // this value is NOT part of the serialized format; it is recalculated
+    // from the previous block when the block is rerun.
+    this.accumulatedWork = prevBlock ? prevBlock.accumulatedWork + this.work() : this.work();
 
-    this.timestamp = Date.now();
+    // A block's timestamp must be later than those of the blocks before it.
+    this.timestamp = prevBlock ? Math.max(Date.now(), prevBlock.timestamp + 1) : Date.now();
 
     // The address that will gain both the coinbase reward and transaction fees,
     // assuming that the block is accepted by the network.
     this.rewardAddr = rewardAddr;
 
-    this.coinbaseReward = coinbaseReward;
+    this.coinbaseReward = coinbaseReward !== undefined ?
+        coinbaseReward :
+        Blockchain.coinbaseRewardAt(this.chainLength);
   }
 
   /**
@@ -80,19 +114,46 @@ module.exports = class Block {
    * @returns {Boolean} - True if the block has a valid proof.
    */
   hasValidProof() {
-    let h = utils.hash(this.serialize());
+    let h = this.hashVal();
     let n = BigInt(`0x${h}`);
     return n < this.target;
   }
 
+  /**
+   * The expected number of hashes needed to find a proof for this block,
+   * calculated from the block's POW target.
+   *
+   * @returns {BigInt} - The amount of work represented by this block.
+   */
+  work() {
+    return (Blockchain.POW_BASE_TARGET + BigInt(1)) / (BigInt(this.target) + BigInt(1));
+  }
+
+  /**
+   * Determines whether this block makes a better head for the blockchain than
+   * another block.  The chain with the most accumulated work wins, regardless
+   * of its length.  Ties are broken in favor of the block with the lower hash,
+   * so that all clients make the same choice.
+   *
+   * @param {Block} other - The block to compare against.
+   *
+   * @returns {Boolean} - True if this block should be preferred.
+   */
+  isBetterThan(other) {
+    if (this.accumulatedWork !== other.accumulatedWork) {
+      return this.accumulatedWork > other.accumulatedWork;
+    }
+    return this.id < other.id;
+  }
+
   /**
    * Converts a Block into string form.  Some fields are deliberately omitted.
    * Note that Block.deserialize plus block.rerun should restore the block.
    *
-   * @returns {String} - The block in JSON format.
+   * @returns {String} - The block in its canonical JSON format.
    */
   serialize() {
-    return JSON.stringify(this);
+    return utils.encode(this);
    //if (this.isGenesisBlock()) {
    //  // The genesis block does not contain a proof or transactions,
    //  // but is the only block than can specify balances.
@@ -133,33 +194,101 @@ module.exports = class Block {
   }
 
   toJSON() {
+    let o = this.header();
+    if (!this.isGenesisBlock()) {
+      o.transactions = Array.from(this.transactions.entries());
+    }
+    return o;
+  }
+
+  /**
+   * Returns the header of the block, which is the portion of the block that
+   * is hashed.  Rather than including the transactions, the header includes
+   * the Merkle root of their IDs, so that a transaction can be proven to be
+   * part of a block without needing all of the block's transactions.
+   *
+   * @returns {Object} - The fields of the block header.
+   */
+  header() {
     let o = {
       chainLength: this.chainLength,
       timestamp: this.timestamp,
+      target: this.target.toString(16),
     };
     if (this.isGenesisBlock()) {
       // The genesis block does not contain a proof or transactions,
       // but is the only block than can specify balances.
       o.balances = Array.from(this.balances.entries());
     } else {
+      // The Merkle root is cached, since it is needed every time
+      // the block is hashed.  It is cleared when transactions are added.
+      if (this.merkleRoot === undefined) {
+        this.merkleRoot = utils.merkleRoot(Array.from(this.transactions.keys()));
+      }
+
+      // Likewise, the state root is cached and cleared when balances change.
+      if (this.stateRoot === undefined) {
+        this.stateRoot = this.calcStateRoot();
+      }
+
       // Other blocks must specify transactions and proof details.
-      o.transactions = Array.from(this.transactions.entries());
+      o.chainId = this.chainId;
+      o.merkleRoot = this.merkleRoot;
+      o.stateRoot = this.stateRoot;
       o.prevBlockHash = this.prevBlockHash;
       o.proof = this.proof;
       o.rewardAddr = this.rewardAddr;
+      o.coinbaseReward = this.coinbaseReward;
     }
     return o;
   }
 
+  /**
+   * The size of the block in bytes, once serialized.
+   *
+   * @returns {Number} - The size of the block.
+   */
+  size() {
+    return Buffer.byteLength(this.serialize());
+  }
+
+  /**
+   * The number of bytes that adding a transaction would add to the size of
+   * the block.  Each transaction is serialized as a [txID, tx] entry in the
+   * block's list of transactions, separated from any earlier entry by a comma.
+   *
+   * @param {Transaction} tx - The transaction to add.
+   * @param {Number} [txSize] - The size of the transaction, if already known.
+   *
+   * @returns {Number} - The size of the transaction's entry in the block.
+   */
+  entrySize(tx, txSize=tx.size()) {
+    let separator = this.transactions.size > 0 ? 1 : 0;
+    // The brackets and the comma between the ID and the transaction.
+    let brackets = 3;
+    return separator + brackets + Buffer.byteLength(utils.encode(tx.id)) + txSize;
+  }
+
+  /**
+   * Determines whether the block is within the limits on the number of
+   * transactions and the size of a block.
+   *
+   * @returns {Boolean} - True if the block is not too large.
+   */
+  withinSizeLimits() {
+    return this.transactions.size <= Blockchain.MAX_BLOCK_TRANSACTIONS &&
+        this.size() <= Blockchain.MAX_BLOCK_SIZE;
+  }
+
   /**
    * Returns the cryptographic hash of the current block.
-   * The block is first converted to its serial form, so
-   * any unimportant fields are ignored.
+   * Only the block header is hashed, so any unimportant
+   * fields are ignored.
    *
    * @returns {String} - cryptographic hash of the block.
    */
   hashVal() {
-    return utils.hash(this.serialize());
+    return utils.hash(utils.encode(this.header()));
   }
 
   /**
@@ -172,44 +301,86 @@ module.exports = class Block {
   }
 
   /**
-   * Accepts a new transaction if it is valid and adds it to the block.
+   * Checks whether a transaction could be added to the block, without adding it.
    *
-   * @param {Transaction} tx - The transaction to add to the block.
-   * @param {Client} [client] - A client object, for logging useful messages.
+   * @param {Transaction} tx - The transaction to check.
+   * @param {Client} [client] - The client checking the transaction.  If it has
+   *    a signature cache, signatures that it has already verified are not checked again.
    *
-   * @returns {Boolean} - True if the transaction was added successfully.
+   * @returns {ValidationError | null} - The reason the transaction is invalid,
+   *    or null if it is valid.
    */
-  addTransaction(tx, client) {
-    if (this.transactions.get(tx.id)) {
-      if (client) client.log(`Duplicate transaction ${tx.id}.`);
-      return false;
-    } else if (tx.sig === undefined) {
-      if (client) client.log(`Unsigned transaction ${tx.id}.`);
-      return false;
-    } else if (!tx.validSignature()) {
-      if (client) client.log(`Invalid signature for transaction ${tx.id}.`);
-      return false;
+  validateTransaction(tx, client) {
+    let sigCache = client && client.sigCache;
+
+    let formatError = tx.validateFormat();
+    if (formatError) return formatError;
+    let reject = (code, message, details) => new ValidationError({code, message, txID: tx.id, details});
+
+    if (tx.chainId !== Blockchain.CHAIN_ID) {
+      return reject(ValidationError.WRONG_CHAIN, `Transaction ${tx.id} is for a different blockchain.`,
+          { expected: Blockchain.CHAIN_ID, actual: tx.chainId });
+    } else if (this.transactions.get(tx.id)) {
+      return reject(ValidationError.DUPLICATE, `Duplicate transaction ${tx.id}.`);
+    } else if (!tx.isSigned()) {
+      return reject(ValidationError.UNSIGNED, `Unsigned transaction ${tx.id}.`);
+    } else if (!(sigCache ? sigCache.verify(tx) : tx.validSignature())) {
+      return reject(ValidationError.INVALID_SIGNATURE, `Invalid signature for transaction ${tx.id}.`);
     } else if (!tx.sufficientFunds(this)) {
-      if (client) client.log(`Insufficient gold for transaction ${tx.id}.`);
-      return false;
+      return reject(ValidationError.INSUFFICIENT_FUNDS, `Insufficient gold for transaction ${tx.id}.`,
+          { balance: this.balanceOf(tx.from), required: tx.totalOutput() });
     }
 
-    // Checking and updating nonce value.
+    // Checking the nonce value.
     // This portion prevents replay attacks.
     let nonce = this.nextNonce.get(tx.from) || 0;
     if (tx.nonce < nonce) {
-      if (client) client.log(`Replayed transaction ${tx.id}.`);
-      return false;
+      return reject(ValidationError.REPLAYED_NONCE, `Replayed transaction ${tx.id}.`,
+          { expected: nonce, actual: tx.nonce });
     } else if (tx.nonce > nonce) {
-      // FIXME: Need to do something to handle this case more gracefully.
-      if (client) client.log(`Out of order transaction ${tx.id}.`);
+      // Miners hold these transactions until the missing nonces arrive.
+      return reject(ValidationError.FUTURE_NONCE, `Out of order transaction ${tx.id}.`,
+          { expected: nonce, actual: tx.nonce });
+    }
+
+    // Checking that the block is within the transaction's lock times.
+    if (tx.notYetValid(this)) {
+      return reject(ValidationError.NOT_YET_VALID, `Transaction ${tx.id} is not valid until after ${tx.validAfter}.`,
+          { validAfter: tx.validAfter, chainLength: this.chainLength, timestamp: this.timestamp });
+    } else if (tx.expired(this)) {
+      return reject(ValidationError.EXPIRED, `Transaction ${tx.id} expired at ${tx.expiresAt}.`,
+          { expiresAt: tx.expiresAt, chainLength: this.chainLength, timestamp: this.timestamp });
+    }
+
+    return null;
+  }
+
+  /**
+   * Accepts a new transaction if it is valid and adds it to the block.
+   * If the transaction is invalid, the reason is stored in validationError.
+   *
+   * @param {Transaction} tx - The transaction to add to the block.
+   * @param {Client} [client] - A client object, for logging useful messages
+   *    and for its signature cache.
+   *
+   * @returns {Boolean} - True if the transaction was added successfully.
+   */
+  addTransaction(tx, client) {
+    let err = this.validateTransaction(tx, client);
+    if (err) {
+      this.validationError = err;
+      if (client) client.log(err.message);
       return false;
-    } else {
-      this.nextNonce.set(tx.from, nonce + 1);
     }
 
+    // Updating the nonce value.
+    this.nextNonce.set(tx.from, tx.nonce + 1);
+
     // Adding the transaction to the block
     this.transactions.set(tx.id, tx);
+    this.merkleRoot = undefined;
+    this.stateRoot = undefined;
+    this.stateTreeCache = undefined;
 
     // Taking gold from the sender
     let senderBalance = this.balanceOf(tx.from);
@@ -229,16 +400,34 @@ module.exports = class Block {
    * the latest nonces for each client.  This method restores this information be wiping out
    * and re-adding all transactions.  This process also identifies if any transactions were
    * invalid due to insufficient funds or replayed transactions, in which case the block
-   * should be rejected.
+   * should be rejected.  A block claiming a coinbase reward other than the one allowed
+   * by the reward schedule is likewise rejected, as is a block whose state root
+   * does not match the balances and nonces found by rerunning it.
+   *
+   * If the block is invalid, the reason is stored in validationError.
    *
    * @param {Block} prevBlock - The previous block in the blockchain, used for initial balances.
+   * @param {Client} [client] - The client rerunning the block, whose signature cache is used.
    *
    * @returns {Boolean} - True if the block's transactions are all valid.
    */
-  rerun(prevBlock) {
+  rerun(prevBlock, client) {
+    this.accumulatedWork = prevBlock.accumulatedWork + this.work();
+
+    // The block may only claim the reward allowed by the reward schedule.
+    let coinbaseReward = Blockchain.coinbaseRewardAt(this.chainLength);
+    if (this.coinbaseReward !== coinbaseReward) {
+      this.validationError = new ValidationError({
+        code: ValidationError.INVALID_COINBASE,
+        message: `Block ${this.id} claims a coinbase reward of ${this.coinbaseReward}, but only ${coinbaseReward} is allowed.`,
+        blockID: this.id,
+        details: { expected: coinbaseReward, actual: this.coinbaseReward },
+      });
+      return false;
+    }
+
     // Setting balances to the previous block's balances.
-    this.balances = new Map(prevBlock.balances);
-    this.nextNonce = new Map(prevBlock.nextNonce);
+    this.inheritState(prevBlock);
 
     // Adding coinbase reward for prevBlock.
     let winnerBalance = this.balanceOf(prevBlock.rewardAddr);
@@ -246,15 +435,60 @@ module.exports = class Block {
 
     // Re-adding all transactions.
     let txs = this.transactions;
+    let stateRoot = this.stateRoot;
     this.transactions = new Map();
+    this.merkleRoot = undefined;
     for (let tx of txs.values()) {
-      let success = this.addTransaction(tx);
-      if (!success) return false;
+      let success = this.addTransaction(tx, client);
+      if (!success) {
+        // Restoring the full list of transactions and the state root,
+        // so that the block ID is unchanged.
+        this.transactions = txs;
+        this.merkleRoot = undefined;
+        this.stateRoot = stateRoot;
+        this.validationError.blockID = this.id;
+        return false;
+      }
+    }
+
+    // The state root is only missing if it has not been calculated yet,
+    // which can happen only for a block that this client created.
+    let actualRoot = this.calcStateRoot();
+    if (stateRoot === undefined) stateRoot = actualRoot;
+    this.stateRoot = stateRoot;
+    if (stateRoot !== actualRoot) {
+      this.validationError = new ValidationError({
+        code: ValidationError.INVALID_STATE_ROOT,
+        message: `Block ${this.id} has a state root that does not match its balances and nonces.`,
+        blockID: this.id,
+        details: { expected: actualRoot, actual: stateRoot },
+      });
+      return false;
     }
 
     return true;
   }
 
+  /**
+   * Starts the balances and nonces of this block from those of the previous
+   * block.  Only the changes made by this block are stored, except for every
+   * SNAPSHOT_INTERVAL blocks, where the full state is copied so that looking
+   * up an account does not need to walk back too many blocks.
+   *
+   * @param {Block} prevBlock - The previous block in the blockchain.
+   */
+  inheritState(prevBlock) {
+    let interval = Blockchain.SNAPSHOT_INTERVAL;
+    let snapshot = interval > 0 && this.chainLength % interval === 0;
+    this.balances = new StateMap(prevBlock.balances, snapshot);
+    this.nextNonce = new StateMap(prevBlock.nextNonce, snapshot);
+    this.leafHashes = new StateMap(prevBlock.stateLeafHashes(), snapshot);
+
+    // The previous block's state tree is reused by stateTree.
+    this.stateParent = prevBlock;
+    this.stateTreeCache = undefined;
+  }
+
   /**
    * Gets the available gold of a user identified by an address.
    * Note that this amount is a snapshot in time - IF the block is
@@ -295,4 +529,177 @@ module.exports = class Block {
   contains(tx) {
     return this.transactions.has(tx.id);
   }
+
+  /**
+   * Produces a proof that a transaction is included in the block, which can
+   * be checked against the Merkle root in the block header with
+   * utils.verifyMerkleProof.
+   *
+   * @param {String} txID - The ID of the transaction.
+   *
+   * @returns {Array | null} - The Merkle proof, or null if the transaction
+   *    is not in this block.
+   */
+  merkleProof(txID) {
+    let txIDs = Array.from(this.transactions.keys());
+    let index = txIDs.indexOf(txID);
+    if (index === -1) return null;
+    return utils.merkleProof(txIDs, index);
+  }
+
+  /**
+   * The leaf hash of an account in the state Merkle tree: the hash of
+   * (address, balance, nonce).
+   *
+   * @param {String} address - The address of the account.
+   *
+   * @returns {String} - The leaf hash.
+   */
+  stateLeafHash(address) {
+    return utils.hash(utils.encode([
+      address,
+      this.balanceOf(address),
+      this.nextNonce.get(address) || 0,
+    ]));
+  }
+
+  /**
+   * The leaf hashes of every account after this block.  Only the accounts
+   * that this block changed are hashed; the hashes of the other accounts are
+   * layered on those of the previous block, just like the balances.
+   *
+   * @returns {StateMap | Map} - The map of addresses to leaf hashes.
+   */
+  stateLeafHashes() {
+    let layered = this.balances instanceof StateMap &&
+        this.nextNonce instanceof StateMap &&
+        this.leafHashes instanceof StateMap;
+
+    if (!layered) {
+      // The genesis block (or a block whose state was replaced) has
+      // nothing to build on, so every account is hashed.
+      this.leafHashes = new Map();
+      for (let address of new Set([...this.balances.keys(), ...this.nextNonce.keys()])) {
+        this.leafHashes.set(address, this.stateLeafHash(address));
+      }
+      return this.leafHashes;
+    }
+
+    for (let address of new Set([...this.balances.updated, ...this.nextNonce.updated])) {
+      this.leafHashes.set(address, this.stateLeafHash(address));
+    }
+    return this.leafHashes;
+  }
+
+  /**
+   * The Merkle tree committing to the state of every account after this
+   * block, with one leaf hash of (address, balance, nonce) per address,
+   * sorted by address.
+   *
+   * The tree is built from the previous block's tree when possible.  If this
+   * block added no accounts, only the paths from the accounts that it changed
+   * are rehashed.  Only the newest blocks keep their trees, to limit memory;
+   * an older block's tree is rebuilt from its leaf hashes if needed again.
+   *
+   * @returns {Object} - The sorted addresses, a map of addresses to their
+   *    positions, and the levels of the tree.  (See utils.merkleLevels.)
+   */
+  stateTree() {
+    let leafHashes = this.stateLeafHashes();
+    let parent = this.stateParent;
+    let parentTree = parent && leafHashes instanceof StateMap ? parent.stateTreeCache : undefined;
+
+    let addresses, index, levels;
+    if (parentTree) {
+      let updated = new Set([...this.balances.updated, ...this.nextNonce.updated]);
+      let added = [...updated].filter((address) => !parentTree.index.has(address)).sort();
+      if (added.length === 0) {
+        addresses = parentTree.addresses;
+        index = parentTree.index;
+        levels = parentTree.levels.map((nodes) => nodes.slice());
+        updated.forEach((address) => levels[0][index.get(address)] = leafHashes.get(address));
+        utils.updateMerkleLevels(levels, [...updated].map((address) => index.get(address)));
+      } else {
+        // New accounts shift the positions of the leaves, so the tree is rebuilt.
+        addresses = mergeSorted(parentTree.addresses, added);
+        index = new Map(addresses.map((address, i) => [address, i]));
+        let leaves = addresses.map((address) => updated.has(address) ?
+            leafHashes.get(address) :
+            parentTree.levels[0][parentTree.index.get(address)]);
+        levels = utils.merkleLevels(leaves);
+      }
+    } else {
+      if (leafHashes instanceof StateMap) leafHashes = leafHashes.flatten();
+      addresses = [...leafHashes.keys()].sort();
+      index = new Map(addresses.map((address, i) => [address, i]));
+      levels = utils.merkleLevels(addresses.map((address) => leafHashes.get(address)));
+    }
+
+    this.stateTreeCache = { addresses, index, levels };
+    if (parent && parent.stateParent) delete parent.stateParent.stateTreeCache;
+    return this.stateTreeCache;
+  }
+
+  /**
+   * The leaves of the Merkle tree committing to the state of every account
+   * after this block.  (See stateTree.)
+   *
+   * @returns {Object} - The sorted addresses, and the leaf hash for each address
+   *    in the same order.
+   */
+  stateLeaves() {
+    let { addresses, levels } = this.stateTree();
+    return { addresses, leaves: levels[0] };
+  }
+
+  /**
+   * Calculates the state root from the balances and nonces of the block.
+   *
+   * @returns {String} - The Merkle root of the account state.
+   */
+  calcStateRoot() {
+    let { levels } = this.stateTree();
+    if (levels[0].length === 0) return utils.merkleRoot([]);
+    return levels[levels.length - 1][0];
+  }
+
+  /**
+   * Produces a proof of an account's balance and nonce after this block,
+   * which can be checked with verifyBalanceProof.
+   *
+   * @param {String} address - The address of the account.
+   *
+   * @returns {Object | null} - The balance, the nonce, and the Merkle proof,
+   *    or null if the account has never been used.
+   */
+  balanceProof(address) {
+    let { addresses, leaves } = this.stateLeaves();
+    let index = addresses.indexOf(address);
+    if (index === -1) return null;
+    return {
+      address: address,
+      balance: this.balanceOf(address),
+      nonce: this.nextNonce.get(address) || 0,
+      proof: utils.merkleProof(leaves, index),
+    };
+  }
+
+  /**
+   * Verifies a proof of an account's balance and nonce against the state
+   * root of this block.  Only the block header is needed, so light clients
+   * can use this method.
+   *
+   * @param {Object} o - The proof produced by balanceProof.
+   * @param {String} o.address - The address of the account.
+   * @param {Number} o.balance - The claimed balance.
+   * @param {Number} o.nonce - The claimed next nonce.
+   * @param {Array} o.proof - The Merkle proof.
+   *
+   * @returns {Boolean} - True if the proof is valid.
+   */
+  verifyBalanceProof({address, balance, nonce, proof}) {
+    let root = this.stateRoot !== undefined ? this.stateRoot : this.calcStateRoot();
+    let leaf = utils.hash(utils.encode([address, balance, nonce]));
+    return utils.verifyMerkleProof(leaf, proof, root);
+  }
 };
@@ -1,10 +1,20 @@
 "use strict";
 
+const utils = require('./utils.js');
+
 // Network message constants
 const MISSING_BLOCK = "MISSING_BLOCK";
 const POST_TRANSACTION = "POST_TRANSACTION";
 const PROOF_FOUND = "PROOF_FOUND";
 const START_MINING = "START_MINING";
+const GET_TX_PROOF = "GET_TX_PROOF";
+const TX_PROOF = "TX_PROOF";
+const GET_PENDING_STATUS = "GET_PENDING_STATUS";
+const PENDING_STATUS = "PENDING_STATUS";
+const COSIGN_REQUEST = "COSIGN_REQUEST";
+const COSIGNATURE = "COSIGNATURE";
+const GET_PENDING_TRANSACTIONS = "GET_PENDING_TRANSACTIONS";
+const PENDING_TRANSACTIONS = "PENDING_TRANSACTIONS";
 
 // Constants for mining
 const NUM_ROUNDS_MINING = 2000;
@@ -13,10 +23,82 @@ const NUM_ROUNDS_MINING = 2000;
 const POW_BASE_TARGET = BigInt("0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff");
 const POW_LEADING_ZEROES = 15;
 
+// Constants for adjusting the proof-of-work target.  An interval of 0
+// disables retargeting, so that the target never changes.  Block times
+// are in milliseconds.
+const RETARGET_INTERVAL = 0;
+const TARGET_BLOCK_TIME = 5000;
+
+// The target will not change by more than this factor in a single retarget.
+const MAX_RETARGET_FACTOR = 4;
+
+// Constants for validating block timestamps.  As in Bitcoin, a block's timestamp
+// must be later than the median timestamp of the previous 11 blocks, and no more
+// than 2 hours (given in milliseconds) ahead of the local clock.
+const MEDIAN_TIME_BLOCKS = 11;
+const MAX_CLOCK_DRIFT = 2 * 60 * 60 * 1000;
+
+// Limits on the size of a block, both in bytes (once serialized)
+// and in the number of transactions.
+const MAX_BLOCK_SIZE = 1000000;
+const MAX_BLOCK_TRANSACTIONS = Infinity;
+
+// A transaction's validAfter and expiresAt values below this threshold are
+// block heights (chainLength values); other values are timestamps in milliseconds.
+// (Bitcoin uses the same threshold, though its timestamps are in seconds.)
+const LOCK_TIME_THRESHOLD = 500000000;
+
+// Limits on the amounts of gold in a transaction.  Amounts must be integers,
+// and no transaction may pay out more than MAX_AMOUNT in total, so that
+// balances never lose precision.
+const MAX_AMOUNT = Number.MAX_SAFE_INTEGER;
+
+// The maximum number of outputs in a single transaction.
+const MAX_TX_OUTPUTS = 100;
+
 // Constants for mining rewards and default transaction fees
 const COINBASE_AMT_ALLOWED = 25;
 const DEFAULT_TX_FEE = 1;
 
+// Constants for the schedule of mining rewards.  The coinbase reward halves
+// every HALVING_INTERVAL blocks (never, if 0), but never drops below
+// MIN_COINBASE_REWARD.  The total of all coinbase rewards may not exceed MAX_SUPPLY.
+const HALVING_INTERVAL = 0;
+const MIN_COINBASE_REWARD = 0;
+const MAX_SUPPLY = Infinity;
+
+// The maximum number of transactions in a miner's mempool.  When the mempool
+// is full, the transactions with the lowest fee rates are evicted.
+const MAX_MEMPOOL_SIZE = 10000;
+
+// How long, in milliseconds, a miner holds a transaction whose nonce is
+// ahead of its sender's next nonce, waiting for the missing transactions.
+const FUTURE_TX_EXPIRY = 10 * 60 * 1000;
+
+// Miners only accept a transaction that is not yet valid if it will become
+// valid soon: within MAX_LOCK_BLOCKS blocks for a validAfter height, or within
+// MAX_LOCK_TIME milliseconds for a validAfter timestamp.
+const MAX_LOCK_BLOCKS = 100;
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000;
+
+// Blocks store only the changes that they make to balances and nonces,
+// except that every SNAPSHOT_INTERVAL blocks the full state is copied.
+// If 0, the full state is never copied.
+const SNAPSHOT_INTERVAL = 100;
+
+// The number of verified signatures that each client caches, so that
+// transactions are not verified again when blocks are rerun.
+const SIG_CACHE_SIZE = 10000;
+
+// The number of worker threads used to verify the signatures in a received
+// block.  If 0, signatures are verified on the main thread.
+const VERIFY_WORKERS = 0;
+
+// The signature algorithm used for new keys and transactions.  The default is
+// kept for compatibility with existing keys, but 512-bit RSA keys are not secure;
+// 'ed25519' or 'secp256k1' should be preferred.  (See utils.SIG_SCHEMES.)
+const SIG_ALG = 'RSA-SHA256';
+
 // If a block is 6 blocks older than the current block, it is considered
 // confirmed, for no better reason than that is what Bitcoin does.
 // Note that the genesis block is always considered to be confirmed.
@@ -34,15 +116,63 @@ module.exports = class Blockchain {
   static get POST_TRANSACTION() { return POST_TRANSACTION; }
   static get PROOF_FOUND() { return PROOF_FOUND; }
   static get START_MINING() { return START_MINING; }
+  static get GET_TX_PROOF() { return GET_TX_PROOF; }
+  static get TX_PROOF() { return TX_PROOF; }
+  static get GET_PENDING_STATUS() { return GET_PENDING_STATUS; }
+  static get PENDING_STATUS() { return PENDING_STATUS; }
+  static get COSIGN_REQUEST() { return COSIGN_REQUEST; }
+  static get COSIGNATURE() { return COSIGNATURE; }
+  static get GET_PENDING_TRANSACTIONS() { return GET_PENDING_TRANSACTIONS; }
+  static get PENDING_TRANSACTIONS() { return PENDING_TRANSACTIONS; }
 
   static get NUM_ROUNDS_MINING() { return NUM_ROUNDS_MINING; }
 
+  static get POW_BASE_TARGET() { return POW_BASE_TARGET; }
+  static get MAX_RETARGET_FACTOR() { return MAX_RETARGET_FACTOR; }
+  static get LOCK_TIME_THRESHOLD() { return LOCK_TIME_THRESHOLD; }
+  static get MAX_AMOUNT() { return MAX_AMOUNT; }
+
   // Configurable properties, with static getters for convenience.
   static get POW_TARGET() {
     let bc = Blockchain.getInstance();
     return bc.powTarget;
   }
 
+  static get CHAIN_ID() {
+    let bc = Blockchain.getInstance();
+    return bc.chainId;
+  }
+
+  static get RETARGET_INTERVAL() {
+    let bc = Blockchain.getInstance();
+    return bc.retargetInterval;
+  }
+
+  static get TARGET_BLOCK_TIME() {
+    let bc = Blockchain.getInstance();
+    return bc.targetBlockTime;
+  }
+
+  static get MEDIAN_TIME_BLOCKS() {
+    let bc = Blockchain.getInstance();
+    return bc.medianTimeBlocks;
+  }
+
+  static get MAX_CLOCK_DRIFT() {
+    let bc = Blockchain.getInstance();
+    return bc.maxClockDrift;
+  }
+
+  static get MAX_BLOCK_SIZE() {
+    let bc = Blockchain.getInstance();
+    return bc.maxBlockSize;
+  }
+
+  static get MAX_BLOCK_TRANSACTIONS() {
+    let bc = Blockchain.getInstance();
+    return bc.maxBlockTransactions;
+  }
+
   static get COINBASE_AMT_ALLOWED() {
     let bc = Blockchain.getInstance();
     return bc.coinbaseReward;
@@ -57,8 +187,63 @@ module.exports = class Blockchain {
     let bc = Blockchain.getInstance();
     return bc.confirmedDepth;
   }
+
+  static get MAX_TX_OUTPUTS() {
+    let bc = Blockchain.getInstance();
+    return bc.maxTxOutputs;
+  }
+
+  static get MAX_MEMPOOL_SIZE() {
+    let bc = Blockchain.getInstance();
+    return bc.maxMempoolSize;
+  }
+
+  static get FUTURE_TX_EXPIRY() {
+    let bc = Blockchain.getInstance();
+    return bc.futureTxExpiry;
+  }
+
+  static get MAX_LOCK_BLOCKS() {
+    let bc = Blockchain.getInstance();
+    return bc.maxLockBlocks;
+  }
+
+  static get MAX_LOCK_TIME() {
+    let bc = Blockchain.getInstance();
+    return bc.maxLockTime;
+  }
+
+  static get SNAPSHOT_INTERVAL() {
+    let bc = Blockchain.getInstance();
+    return bc.snapshotInterval;
+  }
+
+  static get SIG_CACHE_SIZE() {
+    let bc = Blockchain.getInstance();
+    return bc.sigCacheSize;
+  }
+
+  static get VERIFY_WORKERS() {
+    let bc = Blockchain.getInstance();
+    return bc.verifyWorkers;
+  }
+
+  static get SIG_ALG() {
+    let bc = Blockchain.getInstance();
+    return bc.sigAlg;
+  }
   
 
+  /**
+   * @param {number} height - The chainLength of a block.
+   *
+   * @returns {number} - The coinbase reward for a block at that height.
+   */
+  static coinbaseRewardAt(height) {
+    let bc = Blockchain.getInstance();
+    return bc.coinbaseRewardAt(height);
+  }
+
   /**
    * Produces a new genesis block, giving the specified clients the amount of
    * starting gold specified in the initialBalances field of the Blockchain
@@ -87,10 +272,12 @@ module.exports = class Blockchain {
    * Converts a string representation of a block to a new Block instance.
    *
    * @param {Object} o - An object representing a block, but not necessarily an instance of Block.
+   * @param {Block} [prevBlock] - The previous block, if known, used to calculate the accumulated work.
+   *    Otherwise, the accumulated work is calculated again once the block is rerun.
    *
    * @returns {Block}
    */
-  static deserializeBlock(o) {
+  static deserializeBlock(o, prevBlock) {
     if (o instanceof this.instance.blockClass) {
       return o;
     }
@@ -98,6 +285,7 @@ module.exports = class Blockchain {
     let b = new this.instance.blockClass();
     b.chainLength = parseInt(o.chainLength, 10);
     b.timestamp = o.timestamp;
+    b.target = BigInt(`0x${o.target}`);
 
     if (b.isGenesisBlock()) {
       // Balances need to be recreated and restored in a map.
@@ -105,9 +293,12 @@ module.exports = class Blockchain {
         b.balances.set(clientID, amount);
       });
     } else {
+      b.chainId = o.chainId;
       b.prevBlockHash = o.prevBlockHash;
+      b.stateRoot = o.stateRoot;
       b.proof = o.proof;
       b.rewardAddr = o.rewardAddr;
+      b.coinbaseReward = o.coinbaseReward;
       // Likewise, transactions need to be recreated and restored in a map.
       b.transactions = new Map();
       if (o.transactions) o.transactions.forEach(([txID,txJson]) => {
@@ -116,6 +307,35 @@ module.exports = class Blockchain {
       });
     }
 
+    // The constructor calculated the work with the default target, before
+    // the block's own target was known.
+    b.accumulatedWork = prevBlock ? prevBlock.accumulatedWork + b.work() : b.work();
+
+    return b;
+  }
+
+  /**
+   * Converts a block, or just the header of a block, to a new Block instance
+   * containing only the header.  Any transactions are discarded, so the
+   * Merkle root from the header is kept instead of being recalculated.
+   *
+   * @param {Object} o - A block or block header, but not necessarily an instance of Block.
+   *
+   * @returns {Block}
+   */
+  static deserializeHeader(o) {
+    if (o instanceof this.instance.blockClass) {
+      o = o.header();
+    }
+
+    let header = Object.assign({}, o);
+    delete header.transactions;
+
+    let b = this.deserializeBlock(header);
+    if (!b.isGenesisBlock()) {
+      b.merkleRoot = header.merkleRoot;
+    }
+
     return b;
   }
 
@@ -170,18 +390,52 @@ module.exports = class Blockchain {
    * @param {Class} cfg.transactionClass - Implementation of the Transaction class.
    * @param {Array} [cfg.clients] - An array of client/miner configurations.
    * @param {String} [cfg.mnemonic] - BIP39 mnemonic which is used to generate client addresses.
+   * @param {String} [cfg.chainId] - Identifies the blockchain, so that transactions and blocks
+   *    from other blockchains are rejected.  If omitted, the ID of the genesis block is used.
    * @param {number} [cfg.powLeadingZeroes] - Number of leading zeroes required for a valid proof-of-work.
-   * @param {number} [cfg.coinbaseAmount] - Amount of gold awarded to a miner for creating a block.
+   * @param {number} [cfg.retargetInterval] - Number of blocks between adjustments of the
+   *    proof-of-work target.  If 0, the target is never adjusted.
+   * @param {number} [cfg.targetBlockTime] - Desired time between blocks, in milliseconds.
+   * @param {number} [cfg.medianTimeBlocks] - Number of previous blocks whose median timestamp
+   *    a new block's timestamp must be later than.
+   * @param {number} [cfg.maxClockDrift] - How far ahead of the local clock a block's timestamp
+   *    may be, in milliseconds.
+   * @param {number} [cfg.maxBlockSize] - Maximum size of a serialized block, in bytes.
+   * @param {number} [cfg.maxBlockTransactions] - Maximum number of transactions in a block.
+   * @param {number} [cfg.coinbaseReward] - Amount of gold awarded to a miner for creating a block,
+   *    before any halvings.
+   * @param {number} [cfg.halvingInterval] - Number of blocks after which the coinbase reward is cut
+   *    in half.  If 0, the reward is never cut.
+   * @param {number} [cfg.minCoinbaseReward] - The coinbase reward will not be cut below this amount.
+   * @param {number} [cfg.maxSupply] - The maximum total of all coinbase rewards.
    * @param {number} [cfg.defaultTxFee] - Amount of gold awarded to a miner for accepting a transaction,
    *    if not overridden by the client.
    * @param {number} [cfg.confirmedDepth] - Number of blocks required after a block before it is
    *    considered confirmed.
+   * @param {number} [cfg.maxTxOutputs] - Maximum number of outputs in a transaction.
+   * @param {number} [cfg.maxMempoolSize] - Maximum number of transactions in a miner's mempool.
+   * @param {number} [cfg.futureTxExpiry] - How long miners hold a transaction whose nonce is too high,
+   *    waiting for the sender's missing transactions, in milliseconds.
+   * @param {number} [cfg.maxLockBlocks] - How many blocks ahead a transaction's validAfter height
+   *    may be for miners to accept the transaction.
+   * @param {number} [cfg.maxLockTime] - How far ahead a transaction's validAfter timestamp
+   *    may be for miners to accept the transaction, in milliseconds.
+   * @param {number} [cfg.snapshotInterval] - Number of blocks between full copies of the balances
+   *    and nonces.  Other blocks store only their changes.  If 0, full copies are never made.
+   * @param {number} [cfg.sigCacheSize] - Number of verified signatures that each client caches.
+   * @param {number} [cfg.verifyWorkers] - Number of worker threads used to verify the signatures
+   *    in a received block.  If 0, signatures are verified on the main thread.
+   * @param {String} [cfg.sigAlg] - Signature algorithm for client keys and transactions:
+   *    'RSA-SHA256', 'ed25519', or 'secp256k1'.
    *
    * @returns {Blockchain} - The blockchain configuration instance.
    */
   static createInstance(cfg) {
     this.instance = new Blockchain(cfg);
     this.instance.genesis = this.makeGenesis();
+    if (this.instance.chainId === undefined) {
+      this.instance.chainId = this.instance.genesis.id;
+    }
     return this.instance;
   }
 
@@ -198,17 +452,39 @@ module.exports = class Blockchain {
     clientClass,
     minerClass,
     powLeadingZeroes = POW_LEADING_ZEROES,
+    retargetInterval = RETARGET_INTERVAL,
+    targetBlockTime = TARGET_BLOCK_TIME,
+    medianTimeBlocks = MEDIAN_TIME_BLOCKS,
+    maxClockDrift = MAX_CLOCK_DRIFT,
+    maxBlockSize = MAX_BLOCK_SIZE,
+    maxBlockTransactions = MAX_BLOCK_TRANSACTIONS,
     coinbaseReward = COINBASE_AMT_ALLOWED,
+    halvingInterval = HALVING_INTERVAL,
+    minCoinbaseReward = MIN_COINBASE_REWARD,
+    maxSupply = MAX_SUPPLY,
     defaultTxFee = DEFAULT_TX_FEE,
     confirmedDepth = CONFIRMED_DEPTH,
+    maxTxOutputs = MAX_TX_OUTPUTS,
+    maxMempoolSize = MAX_MEMPOOL_SIZE,
+    futureTxExpiry = FUTURE_TX_EXPIRY,
+    maxLockBlocks = MAX_LOCK_BLOCKS,
+    maxLockTime = MAX_LOCK_TIME,
+    snapshotInterval = SNAPSHOT_INTERVAL,
+    sigCacheSize = SIG_CACHE_SIZE,
+    verifyWorkers = VERIFY_WORKERS,
+    sigAlg = SIG_ALG,
     clients = [],
     mnemonic,
+    chainId,
     net,
   }) {
 
     if (this.constructor.instance) {
       throw new Error("The blockchain has already been initialized.");
     }
+    if (!utils.isSupportedSigAlg(sigAlg)) {
+      throw new Error(`Unsupported signature algorithm ${sigAlg}.`);
+    }
 
     // Storing details on classes.
     if (blockClass) {
@@ -239,9 +515,28 @@ module.exports = class Blockchain {
     this.net = net;
 
     this.powLeadingZeroes = powLeadingZeroes;
+    this.retargetInterval = retargetInterval;
+    this.targetBlockTime = targetBlockTime;
+    this.medianTimeBlocks = medianTimeBlocks;
+    this.maxClockDrift = maxClockDrift;
+    this.maxBlockSize = maxBlockSize;
+    this.maxBlockTransactions = maxBlockTransactions;
     this.coinbaseReward = coinbaseReward;
+    this.halvingInterval = halvingInterval;
+    this.minCoinbaseReward = minCoinbaseReward;
+    this.maxSupply = maxSupply;
     this.defaultTxFee = defaultTxFee;
     this.confirmedDepth = confirmedDepth;
+    this.maxTxOutputs = maxTxOutputs;
+    this.maxMempoolSize = maxMempoolSize;
+    this.futureTxExpiry = futureTxExpiry;
+    this.maxLockBlocks = maxLockBlocks;
+    this.maxLockTime = maxLockTime;
+    this.snapshotInterval = snapshotInterval;
+    this.sigCacheSize = sigCacheSize;
+    this.verifyWorkers = verifyWorkers;
+    this.sigAlg = sigAlg;
+    this.chainId = chainId;
 
     this.powTarget = POW_BASE_TARGET >> BigInt(powLeadingZeroes);
 
@@ -266,7 +561,7 @@ module.exports = class Blockchain {
           net: this.net,
           miningRounds: clientCfg.miningRounds,
         });
-        client.generateAddress(this.mnemonic);
+        client.generateAddress(this.mnemonic, this.sigAlg);
         // Miners are stored as both miners and clients.
         this.miners.push(client);
       } else {
@@ -275,7 +570,7 @@ module.exports = class Blockchain {
           password: clientCfg.password ? clientCfg.password : clientCfg.name+'_pswd',
           net: this.net,
         });
-        client.generateAddress(this.mnemonic);
+        client.generateAddress(this.mnemonic, this.sigAlg);
       }
 
       this.clientAddressMap.set(client.address, client);
@@ -323,6 +618,64 @@ module.exports = class Blockchain {
     }
   }
 
+  /**
+   * Determines the coinbase reward for a block, following the reward schedule.
+   * The genesis block does not earn a reward.
+   *
+   * @param {number} height - The chainLength of a block.
+   *
+   * @returns {number} - The coinbase reward for a block at that height.
+   */
+  coinbaseRewardAt(height) {
+    if (height < 1) return 0;
+
+    let reward = this.scheduledReward(height);
+
+    // Limiting the reward so that the total supply does not exceed the maximum.
+    if (this.maxSupply !== Infinity) {
+      let issued = Math.min(this.totalScheduledRewards(height - 1), this.maxSupply);
+      reward = Math.min(reward, this.maxSupply - issued);
+    }
+
+    return reward;
+  }
+
+  /**
+   * @param {number} height - The chainLength of a block, which must be at least 1.
+   *
+   * @returns {number} - The reward for the block according to the halving
+   *    schedule, ignoring the maximum supply.
+   */
+  scheduledReward(height) {
+    if (!this.halvingInterval) return this.coinbaseReward;
+    let halvings = Math.floor((height - 1) / this.halvingInterval);
+    let reward = Math.floor(this.coinbaseReward / Math.pow(2, halvings));
+    return Math.max(reward, this.minCoinbaseReward);
+  }
+
+  /**
+   * @param {number} height - The chainLength of a block.
+   *
+   * @returns {number} - The sum of the scheduled rewards for all blocks
+   *    up to and including the specified height.
+   */
+  totalScheduledRewards(height) {
+    if (!this.halvingInterval) return height * this.coinbaseReward;
+
+    let total = 0;
+    let start = 1;
+    while (start <= height) {
+      let reward = this.scheduledReward(start);
+      // Once the reward reaches its minimum, it stays the same for all later blocks.
+      let end = reward === this.minCoinbaseReward ?
+          height :
+          Math.min(start + this.halvingInterval - 1, height);
+      total += (end - start + 1) * reward;
+      start = end + 1;
+    }
+    return total;
+  }
+
   /**
    * @param  {...any} args - Parameters for the Block constructor.
    * 
@@ -3,9 +3,28 @@
 let EventEmitter = require('events');
 
 let Blockchain = require('./blockchain.js');
+let SignatureCache = require('./signature-cache.js');
+let ValidationError = require('./validation-error.js');
 
 let utils = require('./utils.js');
 
+// The fields of each entry of an address's history, in the order of the CSV columns.
+const HISTORY_FIELDS = ['height', 'blockID', 'timestamp', 'txID', 'type',
+  'counterparty', 'amount', 'balance', 'confirmed'];
+
+/**
+ * Formats a value as a CSV field, quoting it if needed.
+ *
+ * @param {*} value - The value of the field.
+ *
+ * @returns {String} - The CSV field.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
 /**
  * A client has a public/private keypair and an address.
  * It can send and receive messages on the Blockchain network.
@@ -26,7 +45,7 @@ module.exports = class Client extends EventEmitter {
    * @param {Block} [obj.startingBlock] - The starting point of the blockchain for the client.
    * @param {Object} [obj.keyPair] - The public private keypair for the client.
    */
-  constructor({name, password, net, startingBlock} = {}) {
+  constructor({name, password, net, startingBlock, keyPair} = {}) {
     super();
 
     this.net = net;
@@ -35,7 +54,10 @@ module.exports = class Client extends EventEmitter {
     this.password = password ? password : this.name+"_pswd";
 
 
-    if (Blockchain.hasInstance()){
+    if (keyPair) {
+      this.keyPair = keyPair;
+      this.address = utils.calcAddress(keyPair.public);
+    } else if (Blockchain.hasInstance()){
        let bc = Blockchain.getInstance();
        this.generateAddress(bc.mnemonic);
     }
@@ -49,9 +71,14 @@ module.exports = class Client extends EventEmitter {
     // but where the transaction has not yet been confirmed.
     this.pendingOutgoingTransactions = new Map();
 
-    // A map of transactions received but not yet confirmed.
+    // A map of transactions paying this client that are not yet confirmed,
+    // either broadcast but not yet in a block, or in an unconfirmed block.
     this.pendingReceivedTransactions = new Map();
 
+    // The status of each transaction posted by this client, by transaction ID.
+    // (See getTransactionStatus.)
+    this.transactionStatuses = new Map();
+
     // A map of all block hashes to the accepted blocks.
     this.blocks = new Map();
 
@@ -59,13 +86,40 @@ module.exports = class Client extends EventEmitter {
     // on the missing blocks.
     this.pendingBlocks = new Map();
 
+    // A map of multi-signature addresses that this client can sign for,
+    // to the public keys and thresholds of the accounts.
+    this.multisigAccounts = new Map();
+
+    // A map of multi-signature transactions that this client has proposed,
+    // but that do not yet have enough co-signatures to be posted.
+    this.partialTransactions = new Map();
+
+    // Signatures that this client has already verified, shared by
+    // block validation and (for miners) the mempool.
+    this.sigCache = new SignatureCache();
+
+    // IDs of blocks whose signatures are being verified in worker threads.
+    this.verifyingBlocks = new Set();
+
+    // Set once the client has rebuilt its wallet from the chain.  (See recoverWallet.)
+    this.walletRecovered = false;
+
+    // The ID of the last block scanned by recoverFromChain.
+    this.recoveredBlockID = undefined;
+
     if (startingBlock) {
       this.setGenesisBlock(startingBlock);
     }
 
     // Setting up listeners to receive messages from other clients.
     this.on(Blockchain.PROOF_FOUND, this.receiveBlock);
+    this.on(Blockchain.POST_TRANSACTION, this.receivePostedTransaction);
     this.on(Blockchain.MISSING_BLOCK, this.provideMissingBlock);
+    this.on(Blockchain.GET_TX_PROOF, this.provideTxProof);
+    this.on(Blockchain.PENDING_STATUS, this.receivePendingStatus);
+    this.on(Blockchain.COSIGN_REQUEST, this.receiveCosignRequest);
+    this.on(Blockchain.COSIGNATURE, this.receiveCosignature);
+    this.on(Blockchain.PENDING_TRANSACTIONS, this.receivePendingTransactions);
   }
 
   /**
@@ -115,6 +169,29 @@ module.exports = class Client extends EventEmitter {
     return this.confirmedBalance - pendingSpent;
   }
 
+  /**
+   * The amount of gold paid to the client in transactions that are not yet
+   * confirmed.  This gold is not available, since the transactions might
+   * never be confirmed.
+   */
+  get unconfirmedIncoming() {
+    let incoming = 0;
+    this.pendingReceivedTransactions.forEach((tx) => {
+      incoming += this.amountReceived(tx);
+    });
+    return incoming;
+  }
+
+  /**
+   * @param {Transaction} tx - A transaction.
+   * 
+   * @returns {number} - The total of the transaction's outputs paying this client.
+   */
+  amountReceived(tx) {
+    return tx.outputs.reduce((total, {amount, address}) =>
+      address === this.address ? total + amount : total, 0);
+  }
+
   /**
    * Broadcasts a transaction from the client giving gold to the clients
    * specified in 'outputs'. A transaction fee may be specified, which can
@@ -123,12 +200,28 @@ module.exports = class Client extends EventEmitter {
    * @param {Array} outputs - The list of outputs of other addresses and
    *    amounts to pay.
    * @param {number} [fee] - The transaction fee reward to pay the miner.
+   * @param {Object} [lockTimes] - Limits on when the transaction may be accepted.
+   * @param {number} [lockTimes.validAfter] - Block height or timestamp after which
+   *    the transaction may be accepted.
+   * @param {number} [lockTimes.expiresAt] - Block height or timestamp after which
+   *    the transaction may no longer be accepted.
    * 
    * @returns {Transaction} - The posted transaction.
    */
-  postTransaction(outputs, fee=Blockchain.DEFAULT_TX_FEE) {
+  postTransaction(outputs, fee=Blockchain.DEFAULT_TX_FEE, {validAfter, expiresAt} = {}) {
+    // Make sure that miners will not reject the transaction as malformed,
+    // which would leave a gap in the client's nonces.
+    let draft = Blockchain.makeTransaction({
+      from: this.address,
+      nonce: this.nonce,
+      outputs: outputs,
+      fee: fee,
+    });
+    let err = draft.validateFormat();
+    if (err) throw new Error(err.message);
+
     // We calculate the total value of gold needed.
-    let totalPayments = outputs.reduce((acc, {amount}) => acc + amount, 0) + fee;
+    let totalPayments = draft.totalOutput();
 
     // Make sure the client has enough gold.
     if (totalPayments > this.availableGold) {
@@ -139,7 +232,76 @@ module.exports = class Client extends EventEmitter {
     return this.postGenericTransaction({
       outputs: outputs,
       fee: fee,
+      validAfter: validAfter,
+      expiresAt: expiresAt,
+    });
+  }
+
+  /**
+   * Replaces a pending transaction with an otherwise identical transaction
+   * that pays a higher fee, so that miners are more likely to include it.
+   * Since both transactions have the same nonce, at most one of them can be
+   * accepted.
+   * 
+   * @param {String} txID - The ID of the pending transaction.
+   * @param {number} newFee - The new transaction fee, which must be higher
+   *    than the original fee.
+   * 
+   * @returns {Transaction} - The replacement transaction.
+   */
+  bumpFee(txID, newFee) {
+    // Make sure the client has enough gold for the higher fee.
+    let oldTx = this.pendingOutgoingTransactions.get(txID);
+    if (oldTx && newFee - oldTx.fee > this.availableGold) {
+      throw new Error(`Requested ${newFee - oldTx.fee} more, but account only has ${this.availableGold}.`);
+    }
+
+    return this.replaceTransaction(txID, newFee);
+  }
+
+  /**
+   * Broadcasts a replacement for a pending transaction with a higher fee.
+   * Like postGenericTransaction, it does not check the client's balance.
+   * 
+   * @param {String} txID - The ID of the pending transaction.
+   * @param {number} newFee - The new transaction fee.
+   * 
+   * @returns {Transaction} - The replacement transaction.
+   */
+  replaceTransaction(txID, newFee) {
+    let oldTx = this.pendingOutgoingTransactions.get(txID);
+    if (!oldTx) {
+      throw new Error(`No pending transaction ${txID}.`);
+    }
+    if (newFee <= oldTx.fee) {
+      throw new Error(`New fee ${newFee} must be higher than the current fee of ${oldTx.fee}.`);
+    }
+
+    let tx = Blockchain.makeTransaction({
+      from: oldTx.from,
+      nonce: oldTx.nonce,
+      pubKey: oldTx.pubKey,
+      outputs: oldTx.outputs,
+      fee: newFee,
+      data: oldTx.data,
+      chainId: oldTx.chainId,
+      validAfter: oldTx.validAfter,
+      expiresAt: oldTx.expiresAt,
+      sigAlg: oldTx.sigAlg,
     });
+    tx.sign(this.keyPair.private);
+
+    // The replacement is pending instead of the original.  The original is
+    // still tracked, since miners might include it before the replacement.
+    this.pendingOutgoingTransactions.delete(txID);
+    this.pendingOutgoingTransactions.set(tx.id, tx);
+    let record = this.transactionStatuses.get(txID);
+    if (record) record.replacedBy = tx.id;
+    this.trackTransaction(tx);
+
+    this.net.broadcast(Blockchain.POST_TRANSACTION, tx);
+
+    return tx;
   }
 
   /**
@@ -155,12 +317,13 @@ module.exports = class Client extends EventEmitter {
    */
   postGenericTransaction(txData) {
     // Creating a transaction, with defaults for the
-    // from, nonce, and pubKey fields.
+    // from, nonce, pubKey, and sigAlg fields.
     let tx = Blockchain.makeTransaction(
       Object.assign({
           from: this.address,
           nonce: this.nonce,
           pubKey: this.keyPair.public,
+          sigAlg: this.keyPair.sigAlg,
         },
         txData));
 
@@ -168,8 +331,10 @@ module.exports = class Client extends EventEmitter {
 
     // Adding transaction to pending.
     this.pendingOutgoingTransactions.set(tx.id, tx);
+    this.trackTransaction(tx);
 
     this.nonce++;
+    this.skipPendingNonces();
 
     this.net.broadcast(Blockchain.POST_TRANSACTION, tx);
 
@@ -198,10 +363,36 @@ module.exports = class Client extends EventEmitter {
     // Ignore the block if it has been received previously.
     if (this.blocks.has(block.id)) return null;
 
+    // Blocks from other blockchains are rejected before looking for their
+    // previous blocks, which would never be found.
+    if (!block.isGenesisBlock() && block.chainId !== Blockchain.CHAIN_ID) {
+      return this.rejectBlock(new ValidationError({
+        code: ValidationError.WRONG_CHAIN,
+        message: `Block ${block.id} is for a different blockchain.`,
+        blockID: block.id,
+        details: { expected: Blockchain.CHAIN_ID, actual: block.chainId },
+      }));
+    }
+
+    // A genesis block has no proof and sets any balances that it likes, so
+    // the only genesis block accepted is the blockchain's own.
+    let genesisID = Blockchain.getInstance().genesis.id;
+    if (block.isGenesisBlock() && block.id !== genesisID) {
+      return this.rejectBlock(new ValidationError({
+        code: ValidationError.WRONG_CHAIN,
+        message: `Block ${block.id} is not the genesis block of this blockchain.`,
+        blockID: block.id,
+        details: { expected: genesisID, actual: block.id },
+      }));
+    }
+
     // First, make sure that the block has a valid proof. 
     if (!block.hasValidProof() && !block.isGenesisBlock()) {
-      this.log(`Block ${block.id} does not have a valid proof.`);
-      return null;
+      return this.rejectBlock(new ValidationError({
+        code: ValidationError.INVALID_PROOF,
+        message: `Block ${block.id} does not have a valid proof.`,
+        blockID: block.id,
+      }));
     }
 
     // Make sure that we have the previous blocks, unless it is the genesis block.
@@ -222,11 +413,28 @@ module.exports = class Client extends EventEmitter {
       return null;
     }
 
+    // With worker threads enabled, the block's signatures are verified in the
+    // background first.  The block is then received again, and rerunning its
+    // transactions finds the valid signatures in the cache.
+    if (!block.isGenesisBlock() && Blockchain.VERIFY_WORKERS > 0 && !this.verifyingBlocks.has(block.id)) {
+      let txs = [...block.transactions.values()];
+      if (!txs.every((tx) => this.sigCache.has(tx))) {
+        this.verifyingBlocks.add(block.id);
+        this.sigCache.verifyBatchInWorkers(txs, Blockchain.VERIFY_WORKERS)
+          .catch((err) => this.log(`Could not verify signatures in worker threads: ${err.message}`))
+          .then(() => this.receiveBlock(block))
+          // Errors from receiving the block must be caught here, since an
+          // unhandled rejection would stop the process.
+          .catch((err) => this.log(`Could not receive block ${block.id}: ${err.message}`))
+          .finally(() => this.verifyingBlocks.delete(block.id));
+        return null;
+      }
+    }
+
+    // Validate the block, and store it if everything looks good.
     if (!block.isGenesisBlock()) {
-      // Verify the block, and store it if everything looks good.
-      // This code will trigger an exception if there are any invalid transactions.
-      let success = block.rerun(prevBlock);
-      if (!success) return null;
+      let err = this.validateBlock(block, prevBlock);
+      if (err) return this.rejectBlock(err);
     }
 
     // Storing the block.
@@ -234,9 +442,13 @@ module.exports = class Client extends EventEmitter {
 
     // If it is a better block than the client currently has, set that
     // as the new currentBlock, and update the lastConfirmedBlock.
-    if (this.lastBlock.chainLength < block.chainLength) {
+    let headChanged = false;
+    if (block.isBetterThan(this.lastBlock)) {
+      headChanged = true;
+      let oldHead = this.lastBlock;
       this.lastBlock = block;
       this.setLastConfirmed();
+      if (block.prevBlockHash !== oldHead.id) this.handleReorg(oldHead, block);
     }
 
     // Go through any blocks that were waiting for this block
@@ -249,9 +461,176 @@ module.exports = class Client extends EventEmitter {
       this.receiveBlock(b);
     });
 
+    // Once the client has caught up with the network, with no blocks still
+    // waiting on missing blocks, its wallet is rebuilt from the chain.  The
+    // first chain may not be the network's best chain, so the new blocks are
+    // scanned again whenever the chain changes.
+    if (this.pendingBlocks.size === 0) {
+      if (!this.walletRecovered) this.recoverWallet();
+      else if (headChanged) this.recoverFromChain();
+    }
+
     return block;
   }
 
+  /**
+   * Checks that a block follows all of the rules of the blockchain.
+   * Any transactions in the block are rerun in order to update the gold
+   * balances for all clients.
+   * 
+   * @param {Block} block - The block to validate.
+   * @param {Block} prevBlock - The block before it in the blockchain.
+   * 
+   * @returns {ValidationError | null} - The reason the block is invalid,
+   *    or null if it is valid.
+   */
+  validateBlock(block, prevBlock) {
+    let err = this.validateHeader(block, prevBlock);
+    if (err) return err;
+
+    if (!block.withinSizeLimits()) {
+      return new ValidationError({
+        code: ValidationError.BLOCK_TOO_LARGE,
+        message: `Block ${block.id} exceeds the limits on block size.`,
+        blockID: block.id,
+        details: { size: block.size(), transactions: block.transactions.size },
+      });
+    }
+
+    if (!block.rerun(prevBlock, this)) return block.validationError;
+
+    return null;
+  }
+
+  /**
+   * Checks the parts of a block that can be checked from the block header
+   * alone, without the block's transactions.
+   * 
+   * @param {Block} block - The block to validate.
+   * @param {Block} prevBlock - The block before it in the blockchain.
+   * 
+   * @returns {ValidationError | null} - The reason the block header is invalid,
+   *    or null if it is valid.
+   */
+  validateHeader(block, prevBlock) {
+    // The height decides the coinbase reward and height-based lock times,
+    // so it cannot be left up to the block's miner.
+    let height = prevBlock.chainLength + 1;
+    if (block.chainLength !== height) {
+      return new ValidationError({
+        code: ValidationError.INVALID_HEIGHT,
+        message: `Block ${block.id} has height ${block.chainLength}, but follows a block at height ${prevBlock.chainLength}.`,
+        blockID: block.id,
+        details: { expected: height, actual: block.chainLength },
+      });
+    }
+
+    // The block must use the target determined by the previous blocks,
+    // or else miners could choose an easier target for themselves.
+    let target = this.targetAfter(prevBlock);
+    if (block.target !== target) {
+      return new ValidationError({
+        code: ValidationError.INVALID_TARGET,
+        message: `Block ${block.id} does not have the expected target.`,
+        blockID: block.id,
+        details: { expected: target.toString(16), actual: block.target.toString(16) },
+      });
+    }
+
+    // The timestamp must be later than the median of the recent blocks, so
+    // that a single miner with a bad clock cannot move time backwards.
+    let medianTime = this.medianTimePast(prevBlock);
+    if (block.timestamp <= medianTime) {
+      return new ValidationError({
+        code: ValidationError.TIMESTAMP_TOO_EARLY,
+        message: `Block ${block.id} has timestamp ${block.timestamp}, which is not later than the median time ${medianTime} of the previous blocks.`,
+        blockID: block.id,
+        details: { medianTime, actual: block.timestamp },
+      });
+    }
+
+    // The timestamp must also not be too far in the future.
+    let maxTime = Date.now() + Blockchain.MAX_CLOCK_DRIFT;
+    if (block.timestamp > maxTime) {
+      return new ValidationError({
+        code: ValidationError.TIMESTAMP_TOO_LATE,
+        message: `Block ${block.id} has timestamp ${block.timestamp}, which is too far in the future (latest allowed is ${maxTime}).`,
+        blockID: block.id,
+        details: { maxTime, actual: block.timestamp },
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Logs why a block was rejected, and emits an 'invalidBlock' event
+   * with the error so that other code can react to it.
+   * 
+   * @param {ValidationError} err - The reason the block was rejected.
+   * 
+   * @returns {null} - Always null, to indicate that the block was rejected.
+   */
+  rejectBlock(err) {
+    this.log(err.message);
+    this.emit('invalidBlock', err);
+    return null;
+  }
+
+  /**
+   * Calculates the median timestamp of a block and the blocks before it,
+   * up to MEDIAN_TIME_BLOCKS blocks in total.
+   * 
+   * @param {Block} block - The most recent block to include.
+   * 
+   * @returns {Number} - The median timestamp.
+   */
+  medianTimePast(block) {
+    let timestamps = [];
+    while (block && timestamps.length < Blockchain.MEDIAN_TIME_BLOCKS) {
+      timestamps.push(block.timestamp);
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  /**
+   * Calculates the POW target required for the block following prevBlock.
+   * Every RETARGET_INTERVAL blocks, the target is scaled by how long the
+   * preceding blocks took to find compared to TARGET_BLOCK_TIME, so that
+   * the block rate stays steady as mining power changes.  Otherwise, the
+   * target of the previous block is used.
+   * 
+   * @param {Block} prevBlock - The block that the new block will follow.
+   * 
+   * @returns {BigInt} - The POW target for the next block.
+   */
+  targetAfter(prevBlock) {
+    let interval = Blockchain.RETARGET_INTERVAL;
+    if (!interval || (prevBlock.chainLength + 1) % interval !== 0) {
+      return prevBlock.target;
+    }
+
+    // Finding the first block of the window of blocks being measured.
+    let firstBlock = prevBlock;
+    let firstHeight = Math.max(0, prevBlock.chainLength - interval);
+    while (firstBlock.chainLength > firstHeight) {
+      firstBlock = this.blocks.get(firstBlock.prevBlockHash);
+    }
+
+    let expectedTime = (prevBlock.chainLength - firstBlock.chainLength) * Blockchain.TARGET_BLOCK_TIME;
+    if (expectedTime <= 0) return prevBlock.target;
+
+    // Limiting how much the target can change at once.
+    let actualTime = prevBlock.timestamp - firstBlock.timestamp;
+    actualTime = Math.max(actualTime, expectedTime / Blockchain.MAX_RETARGET_FACTOR);
+    actualTime = Math.min(actualTime, expectedTime * Blockchain.MAX_RETARGET_FACTOR);
+
+    let target = prevBlock.target * BigInt(Math.round(actualTime)) / BigInt(Math.round(expectedTime));
+    return target < Blockchain.POW_BASE_TARGET ? target : Blockchain.POW_BASE_TARGET;
+  }
+
   /**
    * Request the previous block from the network.
    * 
@@ -291,18 +670,320 @@ module.exports = class Client extends EventEmitter {
     }
   }
 
+  /**
+   * Takes an object representing a request for proof that a transaction is
+   * in the blockchain, usually from a light client.  If the transaction is
+   * included in the client's current chain, the client sends back the
+   * transaction with a Merkle proof against the header of its block.
+   * 
+   * @param {Object} msg - Request for a transaction proof.
+   * @param {String} msg.from - Address of the client making the request.
+   * @param {String} msg.txID - ID of the transaction.
+   */
+  provideTxProof(msg) {
+    let block = this.lastBlock;
+    while (block && !block.transactions.has(msg.txID)) {
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    if (!block) return;
+
+    this.log(`Providing proof for transaction ${msg.txID}`);
+    this.net.sendMessage(msg.from, Blockchain.TX_PROOF, {
+      txID: msg.txID,
+      tx: block.transactions.get(msg.txID),
+      blockID: block.id,
+      proof: block.merkleProof(msg.txID),
+    });
+  }
+
+  /**
+   * Asks the miners on the network whether a transaction is pending in their
+   * mempools.  Each miner's answer is emitted as a 'pendingStatus' event.
+   * 
+   * @param {String} txID - The ID of the transaction.
+   */
+  requestPendingStatus(txID) {
+    this.net.broadcast(Blockchain.GET_PENDING_STATUS, {
+      from: this.address,
+      txID: txID,
+    });
+  }
+
+  /**
+   * Receives a miner's answer to requestPendingStatus.
+   * 
+   * @param {Object} msg - The answer from the miner.
+   * @param {String} msg.txID - The ID of the transaction.
+   * @param {Boolean} msg.pending - True if the transaction is in the miner's mempool.
+   * @param {String} msg.miner - The address of the miner.
+   */
+  receivePendingStatus(msg) {
+    this.emit('pendingStatus', msg);
+  }
+
+  /**
+   * Rebuilds the client's wallet from the blockchain, for a client whose keys
+   * were restored (such as from a mnemonic or a saved configuration) without
+   * the rest of its state.  Otherwise, the client would start over at nonce 0,
+   * and miners would reject its transactions as replays.
+   * 
+   * This method is called automatically once the client has synced with the
+   * network, and recoverFromChain is called again whenever the chain changes.
+   * It is safe to call again.
+   */
+  recoverWallet() {
+    this.walletRecovered = true;
+    this.recoverFromChain();
+    this.requestPendingTransactions();
+  }
+
+  /**
+   * Scans the current chain to recover the client's nonce.  The transactions
+   * that the client sent are tracked again (see getTransactionStatus), and
+   * payments to the client in unconfirmed blocks are added to
+   * pendingReceivedTransactions.  Confirmed payments need no recovery, since
+   * they are already part of the client's balance.
+   * 
+   * Only the blocks added since the last scan are searched, unless the last
+   * scanned block is no longer part of the chain.
+   */
+  recoverFromChain() {
+    let nonce = this.lastBlock.nextNonce.get(this.address) || 0;
+    if (nonce > this.nonce) {
+      this.log(`Recovered nonce ${nonce} from the blockchain.`);
+      this.nonce = nonce;
+    }
+    this.skipPendingNonces();
+
+    let block = this.lastBlock;
+    while (block && block.id !== this.recoveredBlockID) {
+      block.transactions.forEach((tx, txID) => {
+        if (tx.from !== this.address || this.transactionStatuses.has(txID)) return;
+        this.transactionStatuses.set(txID, {
+          tx: tx,
+          status: this.inclusionStatus(txID, block).status,
+          blockID: block.id,
+          since: block.chainLength - 1,
+        });
+      });
+      block = this.blocks.get(block.prevBlockHash);
+    }
+
+    this.recoveredBlockID = this.lastBlock.id;
+
+    this.updatePendingReceived();
+  }
+
+  /**
+   * Asks the miners on the network for any of this client's transactions
+   * that are waiting in their mempools.  (See receivePendingTransactions.)
+   */
+  requestPendingTransactions() {
+    this.net.broadcast(Blockchain.GET_PENDING_TRANSACTIONS, {
+      from: this.address,
+      address: this.address,
+    });
+  }
+
+  /**
+   * Receives a miner's answer to requestPendingTransactions.  Transactions
+   * from this client that are not yet in the chain are added to
+   * pendingOutgoingTransactions and tracked, and the client's nonce moves
+   * past them.  If two transactions share a nonce, as when one replaced
+   * the other, only the one paying the higher fee is kept.
+   * 
+   * @param {Object} msg - The answer from the miner.
+   * @param {Array} msg.transactions - The client's transactions in the miner's mempool.
+   * @param {String} msg.miner - The address of the miner.
+   */
+  receivePendingTransactions({transactions}) {
+    let chainNonce = this.lastBlock.nextNonce.get(this.address) || 0;
+    transactions.forEach((o) => {
+      let tx = Blockchain.makeTransaction(o);
+      if (tx.from !== this.address || this.pendingOutgoingTransactions.has(tx.id)) return;
+      if (tx.validateFormat() || !this.sigCache.verify(tx)) return;
+      if (tx.nonce < chainNonce || this.findTransactionBlock(tx.id)) return;
+
+      let conflict = [...this.pendingOutgoingTransactions.values()].find((p) => p.nonce === tx.nonce);
+      if (conflict) {
+        if (conflict.fee >= tx.fee) return;
+        this.pendingOutgoingTransactions.delete(conflict.id);
+        let record = this.transactionStatuses.get(conflict.id);
+        if (record) record.replacedBy = tx.id;
+      }
+
+      this.log(`Recovered pending transaction ${tx.id}.`);
+      this.pendingOutgoingTransactions.set(tx.id, tx);
+      this.trackTransaction(tx);
+    });
+    this.skipPendingNonces();
+  }
+
+  /**
+   * Creates an m-of-n multi-signature address, which can only spend gold
+   * with signatures from at least 'threshold' of the specified public keys.
+   * The client remembers the account so that it can propose transactions
+   * from it later.
+   * 
+   * @param {Array} pubKeys - The public keys of the signers, usually
+   *    including this client's own public key.
+   * @param {number} threshold - The number of signatures required.
+   * 
+   * @returns {String} - The multi-signature address.
+   */
+  createMultisigAddress(pubKeys, threshold) {
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > pubKeys.length) {
+      throw new Error(`Threshold must be between 1 and ${pubKeys.length}, but was ${threshold}.`);
+    }
+    if (new Set(pubKeys).size !== pubKeys.length) {
+      throw new Error("The public keys of a multi-signature account must be distinct.");
+    }
+
+    let sortedKeys = [...pubKeys].sort();
+    let address = utils.calcMultisigAddress(sortedKeys, threshold);
+    this.multisigAccounts.set(address, { pubKeys: sortedKeys, threshold: threshold });
+    return address;
+  }
+
+  /**
+   * Proposes a transaction from a multi-signature account.  If this client
+   * is one of the signers, the transaction is signed with its key.  The
+   * transaction is not posted until enough co-signatures are collected;
+   * see requestCosignatures.
+   * 
+   * @param {String} address - A multi-signature address from createMultisigAddress.
+   * @param {Array} outputs - The list of outputs, specifying addresses and
+   *    amounts to pay.
+   * @param {number} [fee] - The transaction fee reward to pay the miner.
+   * @param {number} [nonce] - The nonce of the transaction.  Defaults to the
+   *    account's next nonce according to the client's latest block.
+   * 
+   * @returns {Transaction} - The partially signed transaction.
+   */
+  createMultisigTransaction(address, outputs, fee=Blockchain.DEFAULT_TX_FEE, nonce) {
+    let account = this.multisigAccounts.get(address);
+    if (!account) {
+      throw new Error(`Unknown multi-signature address ${address}.`);
+    }
+
+    if (nonce === undefined) {
+      nonce = this.lastBlock.nextNonce.get(address) || 0;
+    }
+
+    let tx = Blockchain.makeTransaction({
+      from: address,
+      nonce: nonce,
+      pubKeys: account.pubKeys,
+      threshold: account.threshold,
+      outputs: outputs,
+      fee: fee,
+      sigAlg: this.keyPair.sigAlg,
+    });
+    if (account.pubKeys.includes(this.keyPair.public)) {
+      tx.sign(this.keyPair.private, this.keyPair.public);
+    }
+
+    this.partialTransactions.set(tx.id, tx);
+    return tx;
+  }
+
+  /**
+   * Asks the other signers of a multi-signature account to sign a proposed
+   * transaction.  Each signer that receives the request emits a
+   * 'cosignRequest' event, and may answer by calling cosignTransaction.
+   * 
+   * @param {Transaction} tx - A transaction from createMultisigTransaction.
+   */
+  requestCosignatures(tx) {
+    this.net.broadcast(Blockchain.COSIGN_REQUEST, {
+      from: this.address,
+      tx: tx,
+    });
+  }
+
+  /**
+   * Receives a request to co-sign a multi-signature transaction.  Requests
+   * are ignored unless this client is one of the signers.  Otherwise, a
+   * 'cosignRequest' event is emitted with the transaction and the address of
+   * the client asking, so that the user can decide whether to sign.
+   * 
+   * @param {Object} msg - The request.
+   * @param {String} msg.from - The address of the client proposing the transaction.
+   * @param {Object} msg.tx - The proposed transaction.
+   */
+  receiveCosignRequest(msg) {
+    if (msg.from === this.address) return;
+    let tx = Blockchain.makeTransaction(msg.tx);
+    if (!tx.isMultisig() || !tx.pubKeys.includes(this.keyPair.public)) return;
+    this.emit('cosignRequest', tx, msg.from);
+  }
+
+  /**
+   * Signs a multi-signature transaction with this client's key.  If the
+   * address of the client that proposed the transaction is given, the
+   * signature is sent back to it.
+   * 
+   * @param {Transaction | Object} tx - The transaction to sign.
+   * @param {String} [requester] - The address of the client collecting signatures.
+   * 
+   * @returns {Transaction} - The transaction, including this client's signature.
+   */
+  cosignTransaction(tx, requester) {
+    tx = Blockchain.makeTransaction(tx);
+    tx.sign(this.keyPair.private, this.keyPair.public);
+
+    if (requester !== undefined) {
+      this.net.sendMessage(requester, Blockchain.COSIGNATURE, {
+        txID: tx.id,
+        pubKey: this.keyPair.public,
+        sig: tx.sigs[tx.pubKeys.indexOf(this.keyPair.public)],
+      });
+    }
+
+    return tx;
+  }
+
+  /**
+   * Receives a co-signature for a transaction that this client proposed.
+   * Once the transaction has enough valid signatures, it is posted.
+   * 
+   * @param {Object} msg - The co-signature.
+   * @param {String} msg.txID - The ID of the transaction.
+   * @param {String} msg.pubKey - The public key of the signer.
+   * @param {String} msg.sig - The signer's signature of the transaction.
+   */
+  receiveCosignature(msg) {
+    let tx = this.partialTransactions.get(msg.txID);
+    if (!tx) return;
+
+    let i = tx.pubKeys.indexOf(msg.pubKey);
+    if (i === -1 || !utils.verifySignature(msg.pubKey, tx.id, msg.sig, tx.sigAlg)) {
+      this.log(`Invalid co-signature for transaction ${tx.id}.`);
+      return;
+    }
+    tx.sigs[i] = msg.sig;
+
+    if (tx.validSignature()) {
+      this.log(`Posting multi-signature transaction ${tx.id}.`);
+      this.partialTransactions.delete(tx.id);
+      this.trackTransaction(tx);
+      this.net.broadcast(Blockchain.POST_TRANSACTION, tx);
+    }
+  }
+
   /**
    * Sets the last confirmed block according to the most recently accepted block,
    * also updating pending transactions according to this block.
    * Note that the genesis block is always considered to be confirmed.
+   *
+   * A block is confirmed once the work built on top of it is at least
+   * CONFIRMED_DEPTH blocks' worth of work at the difficulty of the latest block.
    */
   setLastConfirmed() {
     let block = this.lastBlock;
-    let confirmedBlockHeight = block.chainLength - Blockchain.CONFIRMED_DEPTH;
-    if (confirmedBlockHeight < 0) {
-      confirmedBlockHeight = 0;
-    }
-    while (block.chainLength > confirmedBlockHeight) {
+    let confirmedWork = BigInt(Blockchain.CONFIRMED_DEPTH) * this.lastBlock.work();
+    while (!block.isGenesisBlock() &&
+        this.lastBlock.accumulatedWork - block.accumulatedWork < confirmedWork) {
       block = this.blocks.get(block.prevBlockHash);
     }
     this.lastConfirmedBlock = block;
@@ -313,6 +994,487 @@ module.exports = class Client extends EventEmitter {
         this.pendingOutgoingTransactions.delete(txID);
       }
     });
+
+    this.updateTransactionStatuses();
+    this.updatePendingReceived();
+  }
+
+  /**
+   * Watches the transactions broadcast by other clients for payments to this
+   * client, which are added to pendingReceivedTransactions.  Transactions
+   * with bad signatures, or whose nonces are already used in the confirmed
+   * chain, are ignored.
+   * 
+   * @param {Transaction | Object} tx - The broadcast transaction.
+   */
+  receivePostedTransaction(tx) {
+    tx = Blockchain.makeTransaction(tx);
+    if (tx.from === this.address || this.amountReceived(tx) === 0) return;
+    if (this.pendingReceivedTransactions.has(tx.id)) return;
+    if (tx.validateFormat() || !this.sigCache.verify(tx)) return;
+    if ((this.lastConfirmedBlock.nextNonce.get(tx.from) || 0) > tx.nonce) return;
+
+    this.log(`Incoming payment of ${this.amountReceived(tx)} in transaction ${tx.id}.`);
+    this.pendingReceivedTransactions.set(tx.id, tx);
+  }
+
+  /**
+   * Updates pendingReceivedTransactions for a new head of the chain.
+   * Payments in the unconfirmed blocks of the chain are added.  Payments
+   * are removed once they are confirmed, or once they can never be
+   * confirmed: because the sender's nonce has been used in the confirmed
+   * chain, because they expired, or because a reorganization left them
+   * invalid for the new chain.
+   */
+  updatePendingReceived() {
+    // Finding the payments in unconfirmed blocks.
+    let unconfirmed = new Set();
+    let block = this.lastBlock;
+    while (block && block.chainLength > this.lastConfirmedBlock.chainLength) {
+      block.transactions.forEach((tx, txID) => {
+        if (tx.from === this.address || this.amountReceived(tx) === 0) return;
+        unconfirmed.add(txID);
+        this.pendingReceivedTransactions.set(txID, tx);
+      });
+      block = this.blocks.get(block.prevBlockHash);
+    }
+
+    this.pendingReceivedTransactions.forEach((tx, txID) => {
+      if (unconfirmed.has(txID)) return;
+
+      // Whether the transaction was confirmed or another transaction
+      // used its nonce, it is no longer pending.
+      let nonce = this.lastConfirmedBlock.nextNonce.get(tx.from) || 0;
+      if (nonce > tx.nonce || tx.expired(this.lastConfirmedBlock)) {
+        this.pendingReceivedTransactions.delete(txID);
+        return;
+      }
+
+      let err = this.lastBlock.validateTransaction(tx, this);
+      if (err && err.code !== ValidationError.FUTURE_NONCE && err.code !== ValidationError.NOT_YET_VALID) {
+        this.log(`Dropping incoming transaction ${txID}: ${err.message}`);
+        this.pendingReceivedTransactions.delete(txID);
+      }
+    });
+  }
+
+  /**
+   * Starts tracking the status of a transaction posted by this client, so
+   * that 'txIncluded', 'txConfirmed', and 'txDropped' events are emitted as
+   * the blockchain grows.
+   * 
+   * @param {Transaction} tx - The posted transaction.
+   */
+  trackTransaction(tx) {
+    this.transactionStatuses.set(tx.id, {
+      tx: tx,
+      status: 'pending',
+      // The transaction cannot be in any block that was already
+      // confirmed when it was posted, so those blocks are never searched.
+      since: this.lastConfirmedBlock.chainLength,
+    });
+  }
+
+  /**
+   * Reports what has happened to a transaction.  The status is one of:
+   * 
+   * - 'pending': posted by this client, but not in the current chain.
+   * - 'included': in a block of the current chain that is not yet confirmed.
+   * - 'confirmed': in a confirmed block of the current chain.
+   * - 'dropped': posted by this client, but it can never be accepted.
+   *       The reason is 'replaced' (by a transaction from bumpFee),
+   *       'nonceUsed' (by another transaction), 'expired', or 'invalid'
+   *       (after a reorganization removed it from the chain).
+   * - 'unknown': not posted by this client, and not in the current chain.
+   * 
+   * @param {String} txID - The ID of the transaction.
+   * 
+   * @returns {Object} - The status, along with the blockID, height, and number
+   *    of confirmations for included and confirmed transactions, or the reason
+   *    for dropped transactions.
+   */
+  getTransactionStatus(txID) {
+    let record = this.transactionStatuses.get(txID);
+    if (record === undefined) {
+      let block = this.findTransactionBlock(txID);
+      return block ? this.inclusionStatus(txID, block) : { txID: txID, status: 'unknown' };
+    }
+
+    if (record.status === 'included' || record.status === 'confirmed') {
+      return this.inclusionStatus(txID, this.blocks.get(record.blockID));
+    }
+    let status = { txID: txID, status: record.status };
+    if (record.reason) status.reason = record.reason;
+    if (record.replacedBy) status.replacedBy = record.replacedBy;
+    return status;
+  }
+
+  /**
+   * Checks the transactions posted by this client against the current chain,
+   * emitting 'txIncluded', 'txConfirmed', and 'txDropped' events for any
+   * changes.  Each event receives the same object as getTransactionStatus.
+   * 
+   * An included transaction whose block is abandoned by a reorganization
+   * becomes pending again.  Confirmed and dropped transactions are final.
+   */
+  updateTransactionStatuses() {
+    this.transactionStatuses.forEach((record, txID) => {
+      if (record.status === 'confirmed' || record.status === 'dropped') return;
+
+      let block = this.findTransactionBlock(txID, record.since);
+      if (block) {
+        let status = this.inclusionStatus(txID, block);
+        if (record.blockID !== block.id) {
+          record.status = 'included';
+          record.blockID = block.id;
+          this.emit('txIncluded', status);
+        }
+        if (status.status === 'confirmed') {
+          record.status = 'confirmed';
+          this.emit('txConfirmed', status);
+        }
+        return;
+      }
+
+      record.status = 'pending';
+      delete record.blockID;
+
+      let reason = this.dropReason(record);
+      if (reason) this.dropTransaction(txID, reason);
+    });
+  }
+
+  /**
+   * Marks a transaction posted by this client as dropped, and emits a
+   * 'txDropped' event.  If the transaction's nonce was never used, the
+   * client's next transaction reuses it, so that the client's later
+   * transactions are not stuck waiting for the missing nonce.
+   * 
+   * @param {String} txID - The ID of the transaction.
+   * @param {String} reason - Why the transaction was dropped.
+   *    (See getTransactionStatus.)
+   */
+  dropTransaction(txID, reason) {
+    let record = this.transactionStatuses.get(txID);
+    record.status = 'dropped';
+    record.reason = reason;
+    delete record.blockID;
+    this.pendingOutgoingTransactions.delete(txID);
+
+    if (record.tx.from === this.address && reason !== 'replaced' && reason !== 'nonceUsed') {
+      this.reuseNonce(record.tx.nonce);
+    }
+
+    this.emit('txDropped', this.getTransactionStatus(txID));
+  }
+
+  /**
+   * Sets the client's nonce back to an unused nonce, skipping any
+   * nonces of transactions that are still pending.
+   * 
+   * @param {number} nonce - A nonce that no transaction will use.
+   */
+  reuseNonce(nonce) {
+    if (nonce < this.nonce) {
+      this.log(`Reusing nonce ${nonce}.`);
+      this.nonce = nonce;
+      this.skipPendingNonces();
+    }
+  }
+
+  /**
+   * Advances the client's nonce past the nonces of pending transactions.
+   */
+  skipPendingNonces() {
+    let used = new Set();
+    this.pendingOutgoingTransactions.forEach((tx) => used.add(tx.nonce));
+    while (used.has(this.nonce)) this.nonce++;
+  }
+
+  /**
+   * Called when the client switches to a new chain that does not simply
+   * extend its previous chain.  A 'reorg' event is emitted with the blocks
+   * that were disconnected and connected.
+   * 
+   * Any of the client's transactions in the disconnected blocks that are
+   * not in the new chain are broadcast again, unless they are now invalid,
+   * in which case they are dropped.
+   * 
+   * @param {Block} oldHead - The last block of the previous chain.
+   * @param {Block} newHead - The last block of the new chain.
+   */
+  handleReorg(oldHead, newHead) {
+    let {disconnected, connected} = this.findForkPath(oldHead, newHead);
+    if (disconnected.length === 0) return;
+
+    this.log(`Reorganization: ${disconnected.length} blocks disconnected, ${connected.length} connected.`);
+    this.emit('reorg', { disconnected: disconnected, connected: connected });
+
+    // Transactions are handled in nonce order, so that a transaction that
+    // depends on an earlier one is checked after it.
+    let fallen = [];
+    disconnected.forEach((block) => block.transactions.forEach((tx, txID) => {
+      let record = this.transactionStatuses.get(txID);
+      if (record && record.status === 'pending') fallen.push(tx);
+    }));
+    fallen.sort((a, b) => a.nonce - b.nonce);
+
+    fallen.forEach((tx) => {
+      let err = newHead.validateTransaction(tx, this);
+      if (err && err.code !== ValidationError.FUTURE_NONCE && err.code !== ValidationError.NOT_YET_VALID) {
+        this.log(`Transaction ${tx.id} is no longer valid: ${err.message}`);
+        let reason = 'invalid';
+        if (err.code === ValidationError.REPLAYED_NONCE) reason = 'nonceUsed';
+        else if (err.code === ValidationError.EXPIRED) reason = 'expired';
+        this.dropTransaction(tx.id, reason);
+        return;
+      }
+
+      this.log(`Broadcasting transaction ${tx.id} again.`);
+      if (tx.from === this.address) this.pendingOutgoingTransactions.set(tx.id, tx);
+      this.net.broadcast(Blockchain.POST_TRANSACTION, tx);
+    });
+  }
+
+  /**
+   * Finds the blocks that separate two chains, back to their common ancestor.
+   * 
+   * @param {Block} oldHead - The last block of one chain.
+   * @param {Block} newHead - The last block of the other chain.
+   * 
+   * @returns {Object} - The 'disconnected' blocks of the old chain, from the
+   *    newest back, and the 'connected' blocks of the new chain, from the
+   *    oldest forward.
+   */
+  findForkPath(oldHead, newHead) {
+    let ob = oldHead;
+    let nb = newHead;
+    let disconnected = [];
+    let connected = [];
+
+    // The new block may be ahead of the old block.  We roll back the new chain
+    // to the matching height.
+    while (nb.chainLength > ob.chainLength) {
+      connected.push(nb);
+      nb = this.blocks.get(nb.prevBlockHash);
+    }
+
+    // Since chains are compared by work rather than length, the new chain
+    // might instead be shorter, in which case we roll back the old chain.
+    while (ob.chainLength > nb.chainLength) {
+      disconnected.push(ob);
+      ob = this.blocks.get(ob.prevBlockHash);
+    }
+
+    // Step back in sync until we hit the common ancestor.
+    while (ob && ob.id !== nb.id) {
+      disconnected.push(ob);
+      connected.push(nb);
+      ob = this.blocks.get(ob.prevBlockHash);
+      nb = this.blocks.get(nb.prevBlockHash);
+    }
+
+    connected.reverse();
+    return { disconnected: disconnected, connected: connected };
+  }
+
+  /**
+   * Determines whether a transaction that is not in the current chain can
+   * never be accepted.  Only the last confirmed block is considered, so that
+   * the decision is not undone by a reorganization.
+   * 
+   * @param {Object} record - The tracking record for the transaction.
+   * 
+   * @returns {String | undefined} - The reason that the transaction was dropped,
+   *    or undefined if it might still be accepted.
+   */
+  dropReason({tx, replacedBy}) {
+    let nonce = this.lastConfirmedBlock.nextNonce.get(tx.from) || 0;
+    if (nonce > tx.nonce) {
+      let replaced = replacedBy !== undefined && this.findTransactionBlock(replacedBy) !== undefined;
+      return replaced ? 'replaced' : 'nonceUsed';
+    } else if (tx.expired(this.lastConfirmedBlock)) {
+      return 'expired';
+    }
+    return undefined;
+  }
+
+  /**
+   * Describes a transaction in a block of the current chain.
+   * 
+   * @param {String} txID - The ID of the transaction.
+   * @param {Block} block - The block including the transaction.
+   * 
+   * @returns {Object} - The transaction status.  (See getTransactionStatus.)
+   */
+  inclusionStatus(txID, block) {
+    return {
+      txID: txID,
+      status: this.isInChain(block.id, this.lastConfirmedBlock) ? 'confirmed' : 'included',
+      blockID: block.id,
+      height: block.chainLength,
+      confirmations: this.lastBlock.chainLength - block.chainLength + 1,
+    };
+  }
+
+  /**
+   * Finds the block of the current chain that includes a transaction.
+   * 
+   * @param {String} txID - The ID of the transaction.
+   * @param {number} [since] - Only blocks with a greater chainLength are searched.
+   * 
+   * @returns {Block | undefined} - The block including the transaction.
+   */
+  findTransactionBlock(txID, since=-1) {
+    let block = this.lastBlock;
+    while (block && block.chainLength > since) {
+      if (block.transactions.has(txID)) return block;
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    return undefined;
+  }
+
+  /**
+   * Determines whether a block is part of the chain ending at the specified block.
+   *
+   * @param {String} blockID - The ID of the block to look for.
+   * @param {Block} head - The last block of the chain.
+   *
+   * @returns {Boolean} - True if the block is in the chain.
+   */
+  isInChain(blockID, head) {
+    let target = this.blocks.get(blockID);
+    if (!target) return false;
+
+    let block = head;
+    while (block && block.chainLength > target.chainLength) {
+      block = this.blocks.get(block.prevBlockHash);
+    }
+    return block !== undefined && block.id === blockID;
+  }
+
+  /**
+   * Lists every change to an address's balance in the current chain, from the
+   * genesis block forward.  Each entry has the fields:
+   * 
+   * - height, blockID, timestamp: the block where the balance changed.
+   * - txID: the transaction, or null for the genesis balance and mining rewards.
+   * - type: one of 'genesis' (the starting balance), 'reward' (the coinbase
+   *       reward and fees for a mined block), 'received', 'sent', or 'fee'.
+   * - counterparty: the sender of a received payment or the recipient of a
+   *       sent payment, and null otherwise.
+   * - amount: the change to the balance, which is negative for sent
+   *       payments and fees.
+   * - balance: the running balance after the entry.  The balance after the
+   *       last entry for a block matches the block's balance for the address.
+   * - confirmed: true if the block is confirmed.
+   * 
+   * Note that a miner's reward is added in the block after the one it mined,
+   * so the reward entry has the height of that later block.
+   * 
+   * @param {String} [address] - The address, which defaults to this client's address.
+   * @param {Object} [opts] - Options for the history.
+   * @param {number} [opts.offset] - The number of entries to skip.
+   * @param {number} [opts.limit] - The maximum number of entries to return.
+   * @param {Boolean} [opts.confirmedOnly] - Leaves out unconfirmed blocks.
+   * 
+   * @returns {Object} - The address, the total number of entries, the offset,
+   *    and the requested page of entries.
+   */
+  getHistory(address=this.address, {offset=0, limit=Infinity, confirmedOnly=false} = {}) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Offset must be a non-negative integer, but was ${offset}.`);
+    }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error(`Limit must be a non-negative integer, but was ${limit}.`);
+    }
+
+    let entries = this.historyEntries(address, confirmedOnly ? this.lastConfirmedBlock : this.lastBlock);
+    return {
+      address: address,
+      total: entries.length,
+      offset: offset,
+      entries: entries.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Exports the history of an address as a statement, either in CSV format,
+   * with one row per entry, or in JSON format.  (See getHistory.)
+   * 
+   * @param {String} [address] - The address, which defaults to this client's address.
+   * @param {Object} [opts] - The options of getHistory, along with the format.
+   * @param {String} [opts.format] - Either 'csv' (the default) or 'json'.
+   * 
+   * @returns {String} - The statement.
+   */
+  exportHistory(address=this.address, {format='csv', ...opts} = {}) {
+    if (format !== 'csv' && format !== 'json') {
+      throw new Error(`Unknown history format ${format}.`);
+    }
+
+    let history = this.getHistory(address, opts);
+    if (format === 'json') return JSON.stringify(history);
+
+    let rows = history.entries.map((entry) => HISTORY_FIELDS.map((f) => csvField(entry[f])).join(','));
+    return [HISTORY_FIELDS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Builds the history of an address for the chain ending at the specified
+   * block.  (See getHistory.)
+   * 
+   * @param {String} address - The address.
+   * @param {Block} head - The last block of the chain.
+   * 
+   * @returns {Array} - The history entries, oldest first.
+   */
+  historyEntries(address, head) {
+    let chain = [];
+    for (let block = head; block; block = this.blocks.get(block.prevBlockHash)) {
+      chain.push(block);
+    }
+    chain.reverse();
+
+    let entries = [];
+    let balance = 0;
+    let record = (block, type, amount, txID=null, counterparty=null) => {
+      balance += amount;
+      entries.push({
+        height: block.chainLength,
+        blockID: block.id,
+        timestamp: block.timestamp,
+        txID: txID,
+        type: type,
+        counterparty: counterparty,
+        amount: amount,
+        balance: balance,
+        confirmed: block.chainLength <= this.lastConfirmedBlock.chainLength,
+      });
+    };
+
+    chain.forEach((block, i) => {
+      if (i === 0) {
+        let start = block.balanceOf(address);
+        if (start !== 0) record(block, 'genesis', start);
+        return;
+      }
+
+      let prevBlock = chain[i-1];
+      if (prevBlock.rewardAddr === address) record(block, 'reward', prevBlock.totalRewards());
+
+      block.transactions.forEach((tx, txID) => {
+        if (tx.from === address) {
+          tx.outputs.forEach(({amount, address: to}) => record(block, 'sent', -amount, txID, to));
+          if (tx.fee > 0) record(block, 'fee', -tx.fee, txID);
+        }
+        tx.outputs.forEach(({amount, address: to}) => {
+          if (to === address) record(block, 'received', amount, txID, tx.from);
+        });
+      });
+    });
+
+    return entries;
   }
 
   /**
@@ -361,12 +1523,14 @@ module.exports = class Client extends EventEmitter {
    * Generate client address using mnemonic set for the blockchain
    * 
    * @param {String} mnemonic - mnemonic set for the blockchain instance
+   * @param {String} [sigAlg] - signature algorithm for the keys; defaults to
+   *    the algorithm set for the blockchain instance
    */
-  generateAddress(mnemonic){
+  generateAddress(mnemonic, sigAlg=Blockchain.hasInstance() ? Blockchain.SIG_ALG : undefined){
     if (mnemonic === undefined){
       throw new Error(`mnemonic not set`);
     }
-    this.keyPair = utils.generateKeypairFromMnemonic(mnemonic, this.password);
+    this.keyPair = utils.generateKeypairFromMnemonic(mnemonic, this.password, sigAlg);
     this.address = utils.calcAddress(this.keyPair.public);
     console.log(`${this.name}'s address is: ${this.address}`);
   }
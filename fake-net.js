@@ -1,5 +1,7 @@
 "use strict";
 
+const utils = require('./utils.js');
+
 /**
  * Simulates a network by using events to enable simpler testing.
  */
@@ -63,7 +65,7 @@ module.exports = class FakeNet {
     if (typeof o !== 'object') throw new Error(`Expecting an object, but got a ${typeof o}`);
 
     // Serializing/deserializing the object to prevent cheating in single threaded mode.
-    let o2 = JSON.parse(JSON.stringify(o));
+    let o2 = utils.decode(utils.encode(o));
 
     const client = this.clients.get(address);
 
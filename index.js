@@ -3,8 +3,13 @@
 const Blockchain = require('./blockchain.js');
 const Block = require('./block.js');
 const Client = require('./client.js');
+const LightClient = require('./light-client.js');
+const Mempool = require('./mempool.js');
 const Miner = require('./miner.js');
+const SignatureCache = require('./signature-cache.js');
+const StateMap = require('./state-map.js');
 const Transaction = require('./transaction.js');
+const ValidationError = require('./validation-error.js');
 
 const FakeNet = require('./fake-net.js');
 const utils = require('./utils.js');
@@ -13,8 +18,13 @@ module.exports = {
   Blockchain: Blockchain,
   Block: Block,
   Client: Client,
+  LightClient: LightClient,
+  Mempool: Mempool,
   Miner: Miner,
+  SignatureCache: SignatureCache,
+  StateMap: StateMap,
   Transaction: Transaction,
+  ValidationError: ValidationError,
   FakeNet: FakeNet,
   utils: utils,
 };
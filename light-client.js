@@ -0,0 +1,215 @@
+"use strict";
+
+let Blockchain = require('./blockchain.js');
+let Client = require('./client.js');
+
+let utils = require('./utils.js');
+
+/**
+ * A light client stores only the headers of blocks, rather than every full
+ * block with its transactions and balances.  This approach is sometimes called
+ * simplified payment verification (SPV).
+ *
+ * The light client checks the proof-of-work and linkage of the headers, but it
+ * cannot check the transactions inside the blocks.  Instead, it confirms its own
+ * payments by asking full clients for Merkle proofs that the transactions are
+ * included in blocks of the chain.
+ */
+module.exports = class LightClient extends Client {
+
+  /**
+   * @constructor
+   * @param {Object} obj - The properties of the client.
+   * @param {String} [obj.name] - The client's name, used for debugging messages.
+   * @param {String} [obj.password] - The client's password, used for generating address.
+   * @param {Object} obj.net - The network used by the client
+   *    to send messages to all miners and clients.
+   * @param {Block} [obj.startingBlock] - The starting point of the blockchain for the client.
+   * @param {Object} [obj.keyPair] - The public private keypair for the client.
+   */
+  constructor({name, password, net, startingBlock, keyPair} = {}) {
+    super({name, password, net, startingBlock, keyPair});
+
+    // A map of transaction IDs to the IDs of the blocks
+    // that the transactions have been proven to be in.
+    this.provenTransactions = new Map();
+
+    this.on(Blockchain.TX_PROOF, this.receiveTxProof);
+  }
+
+  /**
+   * A light client does not know its own balance, since it does not rerun
+   * the transactions in each block.  Therefore, the transaction is broadcast
+   * without checking for sufficient funds; miners will reject it if the
+   * client does not have enough gold.
+   *
+   * @param {Array} outputs - The list of outputs of other addresses and
+   *    amounts to pay.
+   * @param {number} [fee] - The transaction fee reward to pay the miner.
+   * @param {Object} [lockTimes] - The validAfter and expiresAt limits on
+   *    when the transaction may be accepted.
+   *
+   * @returns {Transaction} - The posted transaction.
+   */
+  postTransaction(outputs, fee=Blockchain.DEFAULT_TX_FEE, {validAfter, expiresAt} = {}) {
+    return this.postGenericTransaction({
+      outputs: outputs,
+      fee: fee,
+      validAfter: validAfter,
+      expiresAt: expiresAt,
+    });
+  }
+
+  /**
+   * As with postTransaction, the fee is raised without checking for
+   * sufficient funds.
+   *
+   * @param {String} txID - The ID of the pending transaction.
+   * @param {number} newFee - The new transaction fee.
+   *
+   * @returns {Transaction} - The replacement transaction.
+   */
+  bumpFee(txID, newFee) {
+    return this.replaceTransaction(txID, newFee);
+  }
+
+  /**
+   * Discards everything but the header of the block, and then validates and
+   * stores the header in the same way that a full client would store a block.
+   *
+   * @param {Block | Object} block - The block or block header.
+   *
+   * @returns {Block | null} The block header, or null if it is invalid.
+   */
+  receiveBlock(block) {
+    return super.receiveBlock(Blockchain.deserializeHeader(block));
+  }
+
+  /**
+   * Only the header is checked, since the light client does not have
+   * the transactions of the block.
+   *
+   * @param {Block} block - The block header to validate.
+   * @param {Block} prevBlock - The block header before it in the blockchain.
+   *
+   * @returns {ValidationError | null} - The reason the block header is invalid,
+   *    or null if it is valid.
+   */
+  validateBlock(block, prevBlock) {
+    let err = this.validateHeader(block, prevBlock);
+    if (err) return err;
+    block.accumulatedWork = prevBlock.accumulatedWork + block.work();
+    return null;
+  }
+
+  /**
+   * A light client cannot provide missing blocks, since it only has headers.
+   */
+  provideMissingBlock() {}
+
+  /**
+   * A light client does not track incoming payments, since it has neither
+   * the transactions of unconfirmed blocks nor the balances needed to tell
+   * when a payment can no longer be confirmed.
+   */
+  receivePostedTransaction() {}
+
+  updatePendingReceived() {}
+
+  /**
+   * A light client cannot recover its nonce or its transactions from the
+   * chain, since headers do not include them.  Instead, it relies on
+   * recovering its pending transactions from the miners' mempools.
+   */
+  recoverFromChain() {}
+
+  /**
+   * A light client cannot list the history of an address, since it does
+   * not have the transactions of each block.
+   */
+  historyEntries() {
+    throw new Error("A light client cannot list transaction history.");
+  }
+
+  /**
+   * Updates the last confirmed block, and then checks which pending
+   * transactions have been confirmed.  Proofs are requested for any pending
+   * transactions not known to be in the current chain.
+   */
+  setLastConfirmed() {
+    super.setLastConfirmed();
+
+    this.pendingOutgoingTransactions.forEach((tx, txID) => {
+      let blockID = this.provenTransactions.get(txID);
+      if (blockID === undefined || !this.isInChain(blockID, this.lastBlock)) {
+        this.requestTxProof(txID);
+      } else if (this.isInChain(blockID, this.lastConfirmedBlock)) {
+        this.log(`Transaction ${txID} is confirmed.`);
+        this.pendingOutgoingTransactions.delete(txID);
+        this.provenTransactions.delete(txID);
+      }
+    });
+  }
+
+  /**
+   * Asks the full clients on the network for proof that a transaction
+   * is included in the blockchain.
+   *
+   * @param {String} txID - The ID of the transaction.
+   */
+  requestTxProof(txID) {
+    this.net.broadcast(Blockchain.GET_TX_PROOF, {
+      from: this.address,
+      txID: txID,
+    });
+  }
+
+  /**
+   * Verifies a Merkle proof that one of the client's pending transactions is
+   * included in a block, and records the block containing the transaction.
+   *
+   * @param {Object} msg - The proof sent by a full client.
+   * @param {String} msg.txID - The ID of the transaction.
+   * @param {Object} msg.tx - The transaction.
+   * @param {String} msg.blockID - The ID of the block containing the transaction.
+   * @param {Array} msg.proof - The Merkle proof for the transaction ID.
+   */
+  receiveTxProof({txID, tx, blockID, proof}) {
+    if (!this.pendingOutgoingTransactions.has(txID)) return;
+
+    // We can only check the proof against headers that we have.
+    let header = this.blocks.get(blockID);
+    if (!header) return;
+
+    tx = Blockchain.makeTransaction(tx);
+    if (tx.id !== txID || !utils.verifyMerkleProof(txID, proof, header.merkleRoot)) {
+      this.log(`Invalid proof for transaction ${txID}.`);
+      return;
+    }
+
+    this.log(`Transaction ${txID} is in block ${blockID}.`);
+    this.provenTransactions.set(txID, blockID);
+    this.updateTransactionStatuses();
+
+    if (this.isInChain(blockID, this.lastConfirmedBlock)) {
+      this.log(`Transaction ${txID} is confirmed.`);
+      this.pendingOutgoingTransactions.delete(txID);
+      this.provenTransactions.delete(txID);
+    }
+  }
+
+  /**
+   * A light client only knows which block includes a transaction
+   * once a full client has sent it a proof.
+   *
+   * @param {String} txID - The ID of the transaction.
+   *
+   * @returns {Block | undefined} - The header of the block including the transaction.
+   */
+  findTransactionBlock(txID) {
+    let blockID = this.provenTransactions.get(txID);
+    if (blockID === undefined || !this.isInChain(blockID, this.lastBlock)) return undefined;
+    return this.blocks.get(blockID);
+  }
+
+};
@@ -0,0 +1,441 @@
+"use strict";
+
+let Blockchain = require('./blockchain.js');
+let ValidationError = require('./validation-error.js');
+
+/**
+ * A binary heap, which always gives back the item that comes first
+ * according to the comparison function.
+ */
+class PriorityQueue {
+
+  /**
+   * @constructor
+   * @param {Function} compare - Returns a negative number if its first
+   *    argument should come before its second argument.
+   * @param {Array} [items] - The items to start with.
+   */
+  constructor(compare, items=[]) {
+    this.compare = compare;
+    this.items = [];
+    items.forEach((item) => this.push(item));
+  }
+
+  /**
+   * @returns {Number} - The number of items in the queue.
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * @returns {*} - The first item, without removing it.
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * @param {*} item - The item to add.
+   */
+  push(item) {
+    let items = this.items;
+    let i = items.length;
+    items.push(item);
+    while (i > 0) {
+      let parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * @returns {*} - The first item, which is removed from the queue.
+   */
+  pop() {
+    let items = this.items;
+    let first = items[0];
+    let last = items.pop();
+    if (items.length === 0) return first;
+
+    items[0] = last;
+    let i = 0;
+    for (;;) {
+      let smallest = i;
+      for (let child = 2*i + 1; child <= 2*i + 2 && child < items.length; child++) {
+        if (this.compare(items[child], items[smallest]) < 0) smallest = child;
+      }
+      if (smallest === i) break;
+      [items[i], items[smallest]] = [items[smallest], items[i]];
+      i = smallest;
+    }
+    return first;
+  }
+}
+
+// Orders mempool entries from the lowest fee rate to the highest.  Among
+// equal fee rates, the transaction added first comes first.
+function byLowestFeeRate(a, b) {
+  return a.feeRate - b.feeRate || a.seq - b.seq;
+}
+
+/**
+ * A mempool holds the transactions that a miner has received, but that are
+ * not yet included in the miner's current chain.  Transactions are checked
+ * when they are admitted, so that invalid transactions do not use up space.
+ *
+ * Transactions stay in the mempool until a block including them becomes part
+ * of the current chain.  If a reorganization removes that block from the
+ * chain, its transactions are admitted to the mempool again.
+ */
+module.exports = class Mempool {
+
+  /**
+   * @constructor
+   * @param {Object} [obj] - The properties of the mempool.
+   * @param {Client} [obj.client] - The miner that owns the mempool, used for
+   *    logging messages and emitting 'invalidTransaction' events.
+   * @param {Number} [obj.maxSize] - The maximum number of transactions held.
+   *    If omitted, the blockchain's MAX_MEMPOOL_SIZE is used.
+   */
+  constructor({client, maxSize} = {}) {
+    this.client = client;
+    this.maxSize = maxSize;
+
+    // Map of transaction IDs to transactions.
+    this.transactions = new Map();
+
+    // Map of transaction IDs to their sizes and fee rates, which are costly
+    // to recalculate, since the transactions must be serialized.
+    this.entries = new Map();
+    this.nextSeq = 0;
+
+    // Entries by fee rate, lowest first, used to find transactions to evict.
+    // Removed transactions are only dropped from the queue once they reach
+    // the front.  (See lowestFeeRate.)
+    this.byFeeRate = new PriorityQueue(byLowestFeeRate);
+
+    // Map of "sender:nonce" strings to transaction IDs, used to find
+    // transactions that a new transaction would replace.
+    this.bySenderNonce = new Map();
+
+    // Map of senders to the total gold, including fees, that their
+    // transactions in the mempool spend.  Together, a sender's transactions
+    // may not spend more than the sender's balance.
+    this.pendingSpend = new Map();
+
+    // Transactions whose nonces are ahead of their senders' next nonces,
+    // waiting for the missing transactions to arrive.  This map goes from
+    // the transaction IDs to the times that the transactions expire.
+    this.held = new Map();
+  }
+
+  /**
+   * @returns {Number} - The number of transactions in the mempool.
+   */
+  get size() {
+    return this.transactions.size;
+  }
+
+  /**
+   * Determines whether a transaction is pending in the mempool.
+   *
+   * @param {String} txID - The ID of the transaction.
+   *
+   * @returns {Boolean} - True if the transaction is in the mempool.
+   */
+  has(txID) {
+    return this.transactions.has(txID);
+  }
+
+  /**
+   * @param {String} txID - The ID of the transaction.
+   *
+   * @returns {Transaction | undefined} - The transaction, if it is in the mempool.
+   */
+  get(txID) {
+    return this.transactions.get(txID);
+  }
+
+  /**
+   * Checks a transaction against the state of the specified block, and adds
+   * it to the mempool if it is valid.  A transaction whose nonce is ahead of
+   * the sender's next nonce is accepted, since the missing transactions may
+   * still arrive.  Likewise, a transaction that is not valid until a later
+   * block is accepted, and is held until then, unless it will not be valid
+   * for a long time.  (See Blockchain.MAX_LOCK_BLOCKS and MAX_LOCK_TIME.)
+   *
+   * A transaction with the same sender and nonce as a transaction already in
+   * the mempool replaces it, but only if the new transaction pays a strictly
+   * higher fee.  (This policy is known as replace-by-fee.)
+   *
+   * Together, a sender's transactions in the mempool may not spend more
+   * than the sender's balance, or else they could crowd out valid
+   * transactions until they were dropped from a block.
+   *
+   * If the mempool is full, the transaction with the lowest fee rate is
+   * evicted to make room.  If the new transaction has the lowest fee rate,
+   * it is rejected instead.
+   *
+   * @param {Transaction} tx - The transaction to add.
+   * @param {Block} block - The last block of the chain that the transaction
+   *    will be added to.
+   *
+   * @returns {ValidationError | null} - The reason the transaction was
+   *    rejected, or null if it was added.
+   */
+  add(tx, block) {
+    if (this.transactions.has(tx.id)) {
+      return new ValidationError({
+        code: ValidationError.DUPLICATE,
+        message: `Duplicate transaction ${tx.id}.`,
+        txID: tx.id,
+      });
+    }
+
+    let err = block.validateTransaction(tx, this.client);
+    if (err && err.code !== ValidationError.FUTURE_NONCE && err.code !== ValidationError.NOT_YET_VALID) {
+      return err;
+    }
+
+    if (err && err.code === ValidationError.NOT_YET_VALID && this.lockTimeTooFar(tx, block)) {
+      return new ValidationError({
+        code: ValidationError.LOCK_TIME_TOO_FAR,
+        message: `Transaction ${tx.id} is not valid until after ${tx.validAfter}, which is too far ahead.`,
+        txID: tx.id,
+        details: { validAfter: tx.validAfter, chainLength: block.chainLength, timestamp: block.timestamp },
+      });
+    }
+
+    let replaced = this.conflictingTransaction(tx);
+    if (replaced && tx.fee <= replaced.fee) {
+      return new ValidationError({
+        code: ValidationError.REPLACEMENT_FEE_TOO_LOW,
+        message: `Transaction ${tx.id} does not pay a higher fee than transaction ${replaced.id}, which it would replace.`,
+        txID: tx.id,
+        details: { replacedTxID: replaced.id, minFee: replaced.fee + 1, fee: tx.fee },
+      });
+    }
+
+    // The sender's other pending transactions must also be paid for, except
+    // for the transaction that this one would replace.
+    let balance = block.balanceOf(tx.from);
+    let pending = (this.pendingSpend.get(tx.from) || 0) - (replaced ? replaced.totalOutput() : 0);
+    if (pending + tx.totalOutput() > balance) {
+      return new ValidationError({
+        code: ValidationError.INSUFFICIENT_FUNDS,
+        message: `Insufficient gold for transaction ${tx.id}, counting the sender's other pending transactions.`,
+        txID: tx.id,
+        details: { balance: balance, pending: pending, required: tx.totalOutput() },
+      });
+    }
+
+    if (replaced) {
+      this.log(`Replacing transaction ${replaced.id} with ${tx.id}, which pays a higher fee.`);
+      this.remove(replaced.id);
+    }
+
+    let size = tx.size();
+    let entry = { txID: tx.id, tx: tx, size: size, feeRate: tx.fee / size, seq: this.nextSeq++ };
+
+    let maxSize = this.maxSize !== undefined ? this.maxSize : Blockchain.MAX_MEMPOOL_SIZE;
+    if (this.transactions.size >= maxSize) {
+      let lowest = this.lowestEntry();
+      if (lowest.feeRate >= entry.feeRate) {
+        return new ValidationError({
+          code: ValidationError.MEMPOOL_FULL,
+          message: `Mempool is full, and transaction ${tx.id} does not pay a high enough fee.`,
+          txID: tx.id,
+          details: { minFeeRate: lowest.feeRate, feeRate: entry.feeRate },
+        });
+      }
+      this.log(`Evicting transaction ${lowest.txID} to make room for ${tx.id}.`);
+      this.remove(lowest.txID);
+    }
+
+    this.transactions.set(entry.txID, tx);
+    this.entries.set(entry.txID, entry);
+    this.byFeeRate.push(entry);
+    this.bySenderNonce.set(`${tx.from}:${tx.nonce}`, entry.txID);
+    this.pendingSpend.set(tx.from, (this.pendingSpend.get(tx.from) || 0) + tx.totalOutput());
+    return null;
+  }
+
+  /**
+   * Determines whether a transaction will not be valid for too long to be
+   * worth holding in the mempool.
+   *
+   * @param {Transaction} tx - The transaction that is not yet valid.
+   * @param {Block} block - The last block of the chain.
+   *
+   * @returns {Boolean} - True if the transaction's validAfter is too far ahead.
+   */
+  lockTimeTooFar(tx, block) {
+    if (tx.validAfter < Blockchain.LOCK_TIME_THRESHOLD) {
+      return tx.validAfter - block.chainLength > Blockchain.MAX_LOCK_BLOCKS;
+    }
+    return tx.validAfter - block.timestamp > Blockchain.MAX_LOCK_TIME;
+  }
+
+  /**
+   * Finds the transaction in the mempool from the same sender
+   * with the same nonce as the specified transaction, if there is one.
+   *
+   * @param {Transaction} tx - The new transaction.
+   *
+   * @returns {Transaction | undefined} - The conflicting transaction.
+   */
+  conflictingTransaction(tx) {
+    let txID = this.bySenderNonce.get(`${tx.from}:${tx.nonce}`);
+    return txID === undefined ? undefined : this.transactions.get(txID);
+  }
+
+  /**
+   * Removes a transaction from the mempool, such as when it has been
+   * included in a block.
+   *
+   * @param {String} txID - The ID of the transaction.
+   */
+  remove(txID) {
+    let tx = this.transactions.get(txID);
+    if (tx === undefined) return;
+    this.transactions.delete(txID);
+    this.entries.delete(txID);
+    this.held.delete(txID);
+    this.bySenderNonce.delete(`${tx.from}:${tx.nonce}`);
+
+    let pending = this.pendingSpend.get(tx.from) - tx.totalOutput();
+    if (pending > 0) this.pendingSpend.set(tx.from, pending);
+    else this.pendingSpend.delete(tx.from);
+
+    // Rebuilding the queue if it is mostly removed transactions.
+    if (this.byFeeRate.size > 2 * this.entries.size + 100) {
+      this.byFeeRate = new PriorityQueue(byLowestFeeRate, [...this.entries.values()]);
+    }
+  }
+
+  /**
+   * @returns {Object | undefined} - The entry of the transaction with the
+   *    lowest fee rate, including its ID, size, and fee rate.
+   */
+  lowestEntry() {
+    // Discarding entries of transactions that have been removed.
+    while (this.byFeeRate.size > 0 && this.entries.get(this.byFeeRate.peek().txID) !== this.byFeeRate.peek()) {
+      this.byFeeRate.pop();
+    }
+    return this.byFeeRate.peek();
+  }
+
+  /**
+   * @returns {Transaction} - The transaction with the lowest fee rate.
+   */
+  lowestFeeRate() {
+    let entry = this.lowestEntry();
+    return entry && entry.tx;
+  }
+
+  /**
+   * Adds transactions from the mempool to a block, choosing the
+   * transactions with the highest fee rates first.  However, a sender's
+   * transactions are always added in nonce order, since a transaction
+   * cannot be accepted before the sender's earlier transactions.
+   *
+   * The transactions stay in the mempool until the block is accepted.  Any
+   * transactions that do not fit within the block size limits are left for
+   * a later block, as are transactions that are not yet valid.  Transactions
+   * whose nonces are too high are held until the missing transactions arrive,
+   * or until they expire.  Other invalid transactions are removed, including
+   * transactions past their expiresAt heights or timestamps.
+   *
+   * @param {Block} block - The block to fill.
+   */
+  fillBlock(block) {
+    // Removing any transactions that have waited too long for missing nonces.
+    let now = Date.now();
+    this.held.forEach((expires, txID) => {
+      if (expires <= now) {
+        this.log(`Transaction ${txID} expired while waiting for earlier nonces.`);
+        this.remove(txID);
+      }
+    });
+
+    // Removing any transactions that can no longer be included in a block.
+    this.transactions.forEach((tx) => {
+      if (tx.expired(block)) {
+        this.log(`Transaction ${tx.id} expired at ${tx.expiresAt}.`);
+        this.remove(tx.id);
+      }
+    });
+
+    // Grouping transactions by sender, sorted by nonce.
+    let bySender = new Map();
+    this.entries.forEach((entry) => {
+      let entries = bySender.get(entry.tx.from) || [];
+      entries.push(entry);
+      bySender.set(entry.tx.from, entries);
+    });
+
+    // Senders are queued by the fee rate of their next transaction, highest
+    // first.  Among equal fee rates, the sender seen first comes first.
+    let senders = new PriorityQueue((a, b) =>
+      b.entries[b.next].feeRate - a.entries[a.next].feeRate || a.order - b.order);
+    bySender.forEach((entries) => {
+      entries.sort((a, b) => a.tx.nonce - b.tx.nonce);
+      senders.push({ entries: entries, next: 0, order: senders.size });
+    });
+
+    let size = block.size();
+    while (senders.size > 0) {
+      let sender = senders.pop();
+      let {txID, tx, size: txSize} = sender.entries[sender.next];
+      let entrySize = block.entrySize(tx, txSize);
+
+      let full = block.transactions.size >= Blockchain.MAX_BLOCK_TRANSACTIONS ||
+          size + entrySize > Blockchain.MAX_BLOCK_SIZE;
+      if (full || tx.notYetValid(block)) {
+        // None of the sender's remaining transactions can be added before this one.
+        continue;
+      }
+
+      if (block.addTransaction(tx, this.client)) {
+        size += entrySize;
+        this.held.delete(txID);
+      } else if (block.validationError.code === ValidationError.FUTURE_NONCE) {
+        // An earlier transaction is missing, so none of the sender's
+        // remaining transactions can be added yet.
+        sender.entries.slice(sender.next).forEach((entry) => this.hold(entry.tx));
+        continue;
+      } else {
+        this.remove(txID);
+        if (this.client) this.client.emit('invalidTransaction', block.validationError);
+      }
+
+      sender.next++;
+      if (sender.next < sender.entries.length) senders.push(sender);
+    }
+  }
+
+  /**
+   * Holds a transaction whose nonce is ahead of its sender's next nonce,
+   * so that it can be added to a block once the missing transactions arrive.
+   * A transaction that is already held keeps its original expiration time.
+   *
+   * @param {Transaction} tx - The transaction to hold.
+   */
+  hold(tx) {
+    if (!this.held.has(tx.id)) {
+      this.log(`Holding transaction ${tx.id} until nonces before ${tx.nonce} are received.`);
+      this.held.set(tx.id, Date.now() + Blockchain.FUTURE_TX_EXPIRY);
+    }
+  }
+
+  /**
+   * Logs messages through the owning client, if there is one.
+   *
+   * @param {String} msg - The message to display.
+   */
+  log(msg) {
+    if (this.client) this.client.log(msg);
+  }
+};
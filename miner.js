@@ -2,6 +2,7 @@
 
 let Blockchain = require('./blockchain.js');
 let Client = require('./client.js');
+let Mempool = require('./mempool.js');
 
 /**
  * Miners are clients, but they also mine blocks looking for "proofs".
@@ -28,8 +29,8 @@ module.exports = class Miner extends Client {
     super({name, password, net, startingBlock, keyPair});
     this.miningRounds=miningRounds;
 
-    // Set of transactions to be added to the next block.
-    this.transactions = new Set();
+    // Transactions to be added to the next blocks.
+    this.mempool = new Mempool({client: this});
   }
 
   /**
@@ -40,28 +41,26 @@ module.exports = class Miner extends Client {
 
     this.on(Blockchain.START_MINING, this.findProof);
     this.on(Blockchain.POST_TRANSACTION, this.addTransaction);
+    this.on(Blockchain.GET_PENDING_STATUS, this.providePendingStatus);
+    this.on(Blockchain.GET_PENDING_TRANSACTIONS, this.providePendingTransactions);
 
     setTimeout(() => this.emit(Blockchain.START_MINING), 0);
   }
 
   /**
    * Sets up the miner to start searching for a new block.
-   * 
-   * @param {Set} [txSet] - Transactions the miner has that have not been accepted yet.
    */
-  startNewSearch(txSet=new Set()) {
-    this.currentBlock = Blockchain.makeBlock(this.address, this.lastBlock);
+  startNewSearch() {
+    this.currentBlock = Blockchain.makeBlock(this.address, this.lastBlock, this.targetAfter(this.lastBlock));
 
-    // Merging txSet into the transaction queue.
-    // These transactions may include transactions not already included
-    // by a recently received block, but that the miner is aware of.
-    txSet.forEach((tx) => this.transactions.add(tx));
+    // Making sure that the timestamp will be accepted, even if our clock is behind.
+    let medianTime = this.medianTimePast(this.lastBlock);
+    if (this.currentBlock.timestamp <= medianTime) {
+      this.currentBlock.timestamp = medianTime + 1;
+    }
 
-    // Add queued-up transactions to block.
-    this.transactions.forEach((tx) => {
-      this.currentBlock.addTransaction(tx, this);
-    });
-    this.transactions.clear();
+    // Add transactions from the mempool to the block.
+    this.mempool.fillBlock(this.currentBlock);
 
     // Start looking for a proof at 0.
     this.currentBlock.proof = 0;
@@ -104,8 +103,9 @@ module.exports = class Miner extends Client {
 
   /**
    * Receives a block from another miner. If it is valid,
-   * the block will be stored. If it is also a longer chain,
-   * the miner will accept it and replace the currentBlock.
+   * the block will be stored. If it also has more accumulated work
+   * than the chain the miner is building on, the miner will accept
+   * it and replace the currentBlock.
    * 
    * @param {Block | Object} b - The block
    */
@@ -115,63 +115,99 @@ module.exports = class Miner extends Client {
     if (b === null) return null;
 
     // We switch over to the new chain only if it is better.
-    if (this.currentBlock && b.chainLength >= this.currentBlock.chainLength) {
+    let miningOn = this.currentBlock && this.blocks.get(this.currentBlock.prevBlockHash);
+    if (this.currentBlock && (!miningOn || b.isBetterThan(miningOn))) {
       this.log(`cutting over to new chain.`);
-      let txSet = this.syncTransactions(b);
-      this.startNewSearch(txSet);
+      if (miningOn) this.syncTransactions(miningOn, b);
+      this.startNewSearch();
     }
 
     return b;
   }
 
   /**
-   * This function should determine what transactions
-   * need to be added or deleted.  It should find a common ancestor (retrieving
-   * any transactions from the rolled-back blocks), remove any transactions
-   * already included in the newly accepted blocks, and add any remaining
-   * transactions to the new block.
-   * 
-   * @param {Block} nb - The newly accepted block.
+   * Updates the mempool when the miner switches from one chain to another.
+   * It finds the common ancestor of the two chains, adds the transactions
+   * from the rolled-back blocks back into the mempool, and removes any
+   * transactions included in the newly accepted blocks.
    * 
-   * @returns {Set} - The set of transactions that have not yet been accepted by the new block.
+   * @param {Block} oldHead - The last block of the chain the miner was building on.
+   * @param {Block} newHead - The newly accepted block.
    */
-  syncTransactions(nb) {
-    let cb = this.currentBlock;
-    let cbTxs = new Set();
-    let nbTxs = new Set();
-
-    // The new block may be ahead of the old block.  We roll back the new chain
-    // to the matching height, collecting any transactions.
-    while (nb.chainLength > cb.chainLength) {
-      nb.transactions.forEach((tx) => nbTxs.add(tx));
-      nb = this.blocks.get(nb.prevBlockHash);
-    }
-
-    // Step back in sync until we hit the common ancestor.
-    while (cb && cb.id !== nb.id) {
-      // Store any transactions in the two chains.
-      cb.transactions.forEach((tx) => cbTxs.add(tx));
-      nb.transactions.forEach((tx) => nbTxs.add(tx));
+  syncTransactions(oldHead, newHead) {
+    let {disconnected, connected} = this.findForkPath(oldHead, newHead);
 
-      cb = this.blocks.get(cb.prevBlockHash);
-      nb = this.blocks.get(nb.prevBlockHash);
-    }
+    let included = new Set();
+    connected.forEach((block) => block.transactions.forEach((tx, txID) => included.add(txID)));
 
-    // Remove all transactions that the new chain already has.
-    nbTxs.forEach((tx) => cbTxs.delete(tx));
+    // Transactions from the old chain are admitted again, unless they are
+    // also in the new chain.  These are checked against the new chain, so
+    // any that conflict with it are dropped.
+    disconnected.forEach((block) => block.transactions.forEach((tx) => {
+      if (!included.has(tx.id)) this.mempool.add(tx, newHead);
+    }));
 
-    return cbTxs;
+    // Transactions in the new chain are no longer pending.
+    included.forEach((txID) => this.mempool.remove(txID));
   }
 
   /**
-   * Returns false if transaction is not accepted. Otherwise stores
-   * the transaction to be added to the next block.
+   * Adds a transaction to the mempool, if it is valid.
    * 
    * @param {Transaction | String} tx - The transaction to add.
+   * 
+   * @returns {Boolean} - True if the transaction was accepted.
    */
   addTransaction(tx) {
     tx = Blockchain.makeTransaction(tx);
-    this.transactions.add(tx);
+    let replaced = this.mempool.conflictingTransaction(tx);
+    let err = this.mempool.add(tx, this.lastBlock);
+    if (err) {
+      this.log(err.message);
+      this.emit('invalidTransaction', err);
+      return false;
+    }
+
+    // If the block being mined has the replaced transaction,
+    // start over with the replacement instead.
+    if (replaced && this.currentBlock && this.currentBlock.contains(replaced)) {
+      this.startNewSearch();
+    }
+
+    return true;
+  }
+
+  /**
+   * Tells a client whether one of its transactions is pending in the mempool.
+   * 
+   * @param {Object} msg - The request from the client.
+   * @param {String} msg.from - The address of the client.
+   * @param {String} msg.txID - The ID of the transaction.
+   */
+  providePendingStatus({from, txID}) {
+    this.net.sendMessage(from, Blockchain.PENDING_STATUS, {
+      txID: txID,
+      pending: this.mempool.has(txID),
+      miner: this.address,
+    });
+  }
+
+  /**
+   * Sends a client the transactions from its address that are in the mempool,
+   * so that a client recovering its wallet can find them.  Nothing is sent
+   * if there are none.
+   * 
+   * @param {Object} msg - The request from the client.
+   * @param {String} msg.from - The address of the client.
+   * @param {String} msg.address - The address whose transactions are wanted.
+   */
+  providePendingTransactions({from, address}) {
+    let txs = [...this.mempool.transactions.values()].filter((tx) => tx.from === address);
+    if (txs.length === 0) return;
+    this.net.sendMessage(from, Blockchain.PENDING_TRANSACTIONS, {
+      transactions: txs,
+      miner: this.address,
+    });
   }
 
   /**
@@ -181,7 +217,19 @@ module.exports = class Miner extends Client {
    */
   postTransaction(...args) {
     let tx = super.postTransaction(...args);
-    return this.addTransaction(tx);
+    this.addTransaction(tx);
+    return tx;
+  }
+
+  /**
+   * Likewise, a replacement transaction must be added to the miner's own mempool.
+   *
+   * @param  {...any} args - Arguments needed for Client.bumpFee.
+   */
+  bumpFee(...args) {
+    let tx = super.bumpFee(...args);
+    this.addTransaction(tx);
+    return tx;
   }
 
 };
@@ -0,0 +1,261 @@
+"use strict";
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+let Blockchain = require('./blockchain.js');
+let utils = require('./utils.js');
+
+// When this file is loaded as a worker thread, it checks the signatures of
+// each batch of transactions that it is sent, and sends back the results.
+if (!isMainThread && workerData && workerData.signatureCacheWorker) {
+  let Transaction = require('./transaction.js');
+  parentPort.on('message', ({id, txs}) => {
+    parentPort.postMessage({ id: id, results: txs.map((o) => new Transaction(o).validSignature()) });
+  });
+}
+
+/**
+ * A fixed number of long-lived worker threads for checking signatures.
+ * Starting a worker takes far longer than checking a block's signatures,
+ * so the workers are started once and reused for every batch.  Idle
+ * workers do not keep the process running.
+ */
+class WorkerPool {
+
+  /**
+   * @constructor
+   * @param {Number} size - The number of worker threads.
+   */
+  constructor(size) {
+    this.size = size;
+    this.workers = [];
+    this.nextWorker = 0;
+    this.nextRequestID = 0;
+  }
+
+  /**
+   * Starts a worker thread.  If the worker fails, its pending batches are
+   * rejected and it is replaced on the next call to run.
+   *
+   * @returns {Worker} - The new worker.
+   */
+  startWorker() {
+    let worker = new Worker(__filename, { workerData: { signatureCacheWorker: true } });
+    worker.pending = new Map();
+    worker.unref();
+
+    worker.on('message', ({id, results}) => {
+      let request = worker.pending.get(id);
+      worker.pending.delete(id);
+      if (worker.pending.size === 0) worker.unref();
+      if (request) request.resolve(results);
+    });
+
+    let fail = (err) => {
+      this.workers = this.workers.filter((w) => w !== worker);
+      worker.pending.forEach(({reject}) => reject(err));
+      worker.pending.clear();
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => fail(new Error(`Signature worker stopped with exit code ${code}.`)));
+
+    return worker;
+  }
+
+  /**
+   * Checks the signatures of transactions in one of the workers.
+   *
+   * @param {Array} txs - The transactions to check.
+   *
+   * @returns {Promise} - Resolves to an array of booleans, true for each
+   *    transaction with a valid signature.
+   */
+  run(txs) {
+    while (this.workers.length < this.size) {
+      this.workers.push(this.startWorker());
+    }
+    let worker = this.workers[this.nextWorker++ % this.workers.length];
+    let id = this.nextRequestID++;
+
+    return new Promise((resolve, reject) => {
+      worker.pending.set(id, { resolve, reject });
+      // Keeping the process running until the results come back.
+      worker.ref();
+      worker.postMessage({ id: id, txs: txs.map((tx) => utils.decode(utils.encode(tx))) });
+    });
+  }
+
+  /**
+   * Stops all of the workers.
+   *
+   * @returns {Promise} - Resolves once the workers have stopped.
+   */
+  close() {
+    let workers = this.workers;
+    this.workers = [];
+    return Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+/**
+ * A signature cache remembers which transaction signatures a client has
+ * already verified, so that a transaction is not verified again when it
+ * moves from the mempool into a block, or when a block is rerun during a
+ * reorganization.  The cache holds a bounded number of entries, evicting
+ * the least recently used entry when it is full.
+ *
+ * Only valid signatures are cached.  Otherwise, an attacker could fill the
+ * cache with junk by sending invalid transactions.
+ */
+module.exports = class SignatureCache {
+
+  /**
+   * @constructor
+   * @param {Object} [obj] - The properties of the cache.
+   * @param {Number} [obj.maxSize] - The maximum number of signatures cached.
+   *    If omitted, the blockchain's SIG_CACHE_SIZE is used.
+   */
+  constructor({maxSize} = {}) {
+    this.maxSize = maxSize;
+
+    // Keys of verified signatures, from least to most recently used.
+    this.verified = new Set();
+
+    // Worker threads for verifyBatchInWorkers, started on first use.
+    this.pool = null;
+  }
+
+  /**
+   * @returns {Number} - The number of signatures cached.
+   */
+  get size() {
+    return this.verified.size;
+  }
+
+  /**
+   * The cache key covers both the transaction ID and its signatures, so that
+   * a valid transaction does not vouch for a copy with a bad signature.
+   *
+   * @param {Transaction} tx - A signed transaction.
+   *
+   * @returns {String} - The cache key for the transaction's signatures.
+   */
+  key(tx) {
+    return utils.hash(utils.encode([tx.id, tx.sig, tx.sigs]));
+  }
+
+  /**
+   * Determines whether a transaction's signatures have already been verified.
+   *
+   * @param {Transaction} tx - A signed transaction.
+   *
+   * @returns {Boolean} - True if the signatures are cached.
+   */
+  has(tx) {
+    let key = this.key(tx);
+    if (!this.verified.has(key)) return false;
+
+    // Marking the entry as the most recently used.
+    this.verified.delete(key);
+    this.verified.add(key);
+    return true;
+  }
+
+  /**
+   * Records that a transaction's signatures are valid.
+   *
+   * @param {Transaction} tx - A transaction with valid signatures.
+   */
+  add(tx) {
+    let key = this.key(tx);
+    this.verified.delete(key);
+    this.verified.add(key);
+
+    let maxSize = this.maxSize !== undefined ? this.maxSize : Blockchain.SIG_CACHE_SIZE;
+    while (this.verified.size > maxSize) {
+      this.verified.delete(this.verified.values().next().value);
+    }
+  }
+
+  /**
+   * Checks a transaction's signatures, using the cache when possible.
+   *
+   * @param {Transaction} tx - The transaction to check.
+   *
+   * @returns {Boolean} - True if the signatures are valid.
+   */
+  verify(tx) {
+    if (this.has(tx)) return true;
+    if (!tx.validSignature()) return false;
+    this.add(tx);
+    return true;
+  }
+
+  /**
+   * Checks the signatures of a batch of transactions, such as all of the
+   * transactions in a block.
+   *
+   * @param {Iterable} txs - The transactions to check.
+   *
+   * @returns {Array} - The transactions with invalid signatures.
+   */
+  verifyBatch(txs) {
+    return [...txs].filter((tx) => !this.verify(tx));
+  }
+
+  /**
+   * Checks the signatures of a batch of transactions, spreading the work
+   * across worker threads.  The valid signatures are added to the cache, so
+   * that validating the transactions afterwards is fast.
+   *
+   * The workers are started the first time that this method is called, and
+   * are reused afterwards.  Note that the workers check the signatures with
+   * the default Transaction class, rather than the blockchain's
+   * transactionClass.  Schemes added with utils.registerSigScheme do not
+   * exist in the workers, so transactions using them are checked on the
+   * calling thread instead.
+   *
+   * @param {Iterable} txs - The transactions to check.
+   * @param {Number} numWorkers - The number of worker threads to use.
+   *
+   * @returns {Promise} - Resolves to an array of the transactions with
+   *    invalid signatures.
+   */
+  verifyBatchInWorkers(txs, numWorkers) {
+    let unverified = [...txs].filter((tx) => !this.has(tx));
+    let invalid = this.verifyBatch(unverified.filter((tx) => !utils.isBuiltinSigAlg(tx.sigAlg)));
+    unverified = unverified.filter((tx) => utils.isBuiltinSigAlg(tx.sigAlg));
+    if (unverified.length === 0) return Promise.resolve(invalid);
+
+    if (this.pool === null || this.pool.size !== numWorkers) {
+      if (this.pool !== null) this.pool.close();
+      this.pool = new WorkerPool(numWorkers);
+    }
+
+    let chunkSize = Math.ceil(unverified.length / numWorkers);
+    let chunks = [];
+    for (let i = 0; i < unverified.length; i += chunkSize) {
+      chunks.push(unverified.slice(i, i + chunkSize));
+    }
+
+    return Promise.all(chunks.map((chunk) => this.pool.run(chunk))).then((results) => {
+      chunks.forEach((chunk, i) => chunk.forEach((tx, j) => {
+        if (results[i][j]) this.add(tx);
+        else invalid.push(tx);
+      }));
+      return invalid;
+    });
+  }
+
+  /**
+   * Stops the worker threads, if any were started.
+   *
+   * @returns {Promise} - Resolves once the workers have stopped.
+   */
+  close() {
+    if (this.pool === null) return Promise.resolve();
+    let pool = this.pool;
+    this.pool = null;
+    return pool.close();
+  }
+};
@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * A map of account state (such as balances or nonces) that stores only the
+ * changes made on top of a parent map.  Each block's state layers on top of
+ * the previous block's state, so that a block costs memory only for the
+ * accounts that it changes, rather than for every account.
+ *
+ * Looking up an address that has not changed recently means walking back
+ * through the parent maps.  To keep lookups fast, a map may be made a
+ * snapshot, which copies the full state and drops the reference to the parent.
+ *
+ * Note that a parent map must not change once other maps are layered on it.
+ * In particular, no transactions should be added to a block after it has
+ * been used as the previous block for another block.
+ */
+module.exports = class StateMap {
+
+  /**
+   * @constructor
+   * @param {StateMap | Map} [parent] - The state that this map changes.
+   * @param {Boolean} [snapshot] - If true, the full state of the parent is
+   *    copied, and the parent is not referenced.
+   */
+  constructor(parent, snapshot=false) {
+    if (snapshot || !parent) {
+      this.parent = null;
+      this.changes = new Map(parent);
+    } else {
+      this.parent = parent;
+      this.changes = new Map();
+    }
+
+    // The addresses set in this map, which for a snapshot are fewer
+    // than the addresses copied into the changes.
+    this.updated = new Set();
+  }
+
+  /**
+   * @param {String} key - The address of an account.
+   *
+   * @returns {*} - The value for the address, or undefined if it has no value.
+   */
+  get(key) {
+    let m = this;
+    while (m instanceof StateMap) {
+      if (m.changes.has(key)) return m.changes.get(key);
+      m = m.parent;
+    }
+    return m ? m.get(key) : undefined;
+  }
+
+  /**
+   * @param {String} key - The address of an account.
+   *
+   * @returns {Boolean} - True if the address has a value.
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Records a change to the state.  The parent maps are unchanged.
+   *
+   * @param {String} key - The address of an account.
+   * @param {*} value - The new value for the address.
+   *
+   * @returns {StateMap} - This map, as with Map.set.
+   */
+  set(key, value) {
+    this.changes.set(key, value);
+    this.updated.add(key);
+    return this;
+  }
+
+  /**
+   * Combines all layers of the state into a single Map.  This is expensive,
+   * so it should only be used when every entry is needed.
+   *
+   * @returns {Map} - The full state.
+   */
+  flatten() {
+    let layers = [];
+    let m = this;
+    while (m instanceof StateMap) {
+      layers.push(m.changes);
+      m = m.parent;
+    }
+
+    let full = new Map(m);
+    for (let i = layers.length - 1; i >= 0; i--) {
+      for (let [key, value] of layers[i]) full.set(key, value);
+    }
+    return full;
+  }
+
+  get size() {
+    return this.flatten().size;
+  }
+
+  entries() {
+    return this.flatten().entries();
+  }
+
+  keys() {
+    return this.flatten().keys();
+  }
+
+  values() {
+    return this.flatten().values();
+  }
+
+  forEach(callback, thisArg) {
+    this.flatten().forEach((value, key) => callback.call(thisArg, value, key, this));
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+};
@@ -5,32 +5,38 @@ const { readFileSync, writeFileSync } = require('fs');
 const FakeNet = require('./fake-net.js');
 const Blockchain = require('./blockchain.js');
 const Block = require('./block.js');
+const LightClient = require('./light-client.js');
 const Miner = require('./miner.js');
 const Transaction = require('./transaction.js');
+const utils = require('./utils.js');
 
 /**
  * This extends the FakeNet class to actually communicate over the network.
  */
 class TcpNet extends FakeNet {
   sendMessage(address, msg, o) {
-    if (typeof o === 'string') o = JSON.parse(o);
+    if (typeof o === 'string') o = utils.decode(o);
     let data = {msg, o};
     const client = this.clients.get(address);
     let clientConnection = net.connect(client.connection, () => {
-      clientConnection.write(JSON.stringify(data));
+      clientConnection.write(utils.encode(data));
     });
   }
 }
 
 /**
- * Provides a command line interface for a SpartanGold miner
- * that will actually communicate over the network.
+ * Adds the ability to communicate over the network to a client class,
+ * so that both miners and light clients can share the same setup.
+ *
+ * @param {Class} Base - The client class to extend.
+ *
+ * @returns {Class} - The client class with networking added.
  */
-class TcpMiner extends Miner {
+const TcpNode = (Base) => class extends Base {
   static get REGISTER() { return "REGISTER"; }
 
   /**
-   * In addition to the usual properties for a miner, the constructor
+   * In addition to the usual properties for the client, the constructor
    * also takes a JSON object for the connection information and sets
    * up a listener to listen for incoming connections.
    */
@@ -43,8 +49,14 @@ class TcpMiner extends Miner {
     this.srvr.on('connection', (client) => {
       this.log('Received connection');
       client.on('data', (data) => {
-        let {msg, o} = JSON.parse(data);
-        if (msg === TcpMiner.REGISTER) {
+        let {msg, o} = utils.decode(data);
+        if (msg === this.constructor.REGISTER) {
+          // Nodes on other blockchains are not registered, so that
+          // their transactions and blocks are never received.
+          if (o.chainId !== Blockchain.CHAIN_ID) {
+            this.log(`Refusing to register ${o.name}, which is on chain ${o.chainId}.`);
+            return;
+          }
           if (!this.net.recognizes(o)) {
             this.registerWith(o.connection);
           }
@@ -66,23 +78,24 @@ class TcpMiner extends Miner {
     this.log(`Connection: ${JSON.stringify(minerConnection)}`);
     let conn = net.connect(minerConnection, () => {
       let data = {
-        msg: TcpMiner.REGISTER,
+        msg: this.constructor.REGISTER,
         o: {
           name: this.name,
           address: this.address,
           connection: this.connection,
+          chainId: Blockchain.CHAIN_ID,
         }
       };
-      conn.write(JSON.stringify(data));
+      conn.write(utils.encode(data));
     });
   }
 
   /**
-   * Begins mining and registers with any known miners.
+   * Begins mining (for miners) and registers with any known miners.
    */
   initialize(knownMinerConnections) {
     this.knownMiners = knownMinerConnections;
-    super.initialize();
+    if (super.initialize) super.initialize();
     this.srvr.listen(this.connection.port);
     for (let m of knownMinerConnections) {
       this.registerWith(m);
@@ -100,17 +113,43 @@ class TcpMiner extends Miner {
     return s;
   }
 
+  /**
+   * Saves the configuration of the node, so that it can be restarted later.
+   * The genesis balances, chain ID, and signature algorithm are included,
+   * so that the restarted node rejoins the same blockchain.
+   *
+   * @param {String} fileName - The configuration file to write.
+   */
   saveJson(fileName) {
+    let bc = Blockchain.getInstance();
     let state = {
       name: this.name,
+      genesis: {
+        startingBalances: Object.fromEntries(bc.genesis.balances),
+      },
+      chainId: Blockchain.CHAIN_ID,
+      sigAlg: Blockchain.SIG_ALG,
       connection: this.connection,
       keyPair: this.keyPair,
       knownMiners: this.knownMiners,
     };
+    if (this instanceof LightClient) state.light = true;
     writeFileSync(fileName, JSON.stringify(state));
   }
 
-}
+};
+
+/**
+ * Provides a command line interface for a SpartanGold miner
+ * that will actually communicate over the network.
+ */
+class TcpMiner extends TcpNode(Miner) {}
+
+/**
+ * A light client that communicates over the network.  It stores only block
+ * headers, and does not mine.
+ */
+class TcpLightClient extends TcpNode(LightClient) {}
 
 if (process.argv.length !== 3) {
   console.error(`Usage: ${process.argv[0]} ${process.argv[1]} <config.json>`);
@@ -124,15 +163,33 @@ let knownMiners = config.knownMiners || [];
 // Clearing the screen so things look a little nicer.
 console.clear();
 
-let startingBalances = config.genesis ? config.genesis.startingBalances : {};
-let genesis = Blockchain.makeGenesis({
+let bc = Blockchain.createInstance({
   blockClass: Block,
   transactionClass: Transaction,
-  startingBalances: startingBalances
+  chainId: config.chainId,
+  sigAlg: config.sigAlg,
+});
+
+// Every node must start from the same genesis block, so it is built
+// from the configuration file rather than from the current time.
+let startingBalances = config.genesis ? config.genesis.startingBalances : {};
+let genesis = Blockchain.deserializeBlock({
+  chainLength: 0,
+  timestamp: 0,
+  target: Blockchain.POW_TARGET.toString(16),
+  balances: Object.entries(startingBalances),
 });
 
+// Unless the configuration names the chain, it is identified by the genesis block.
+bc.genesis = genesis;
+if (config.chainId === undefined) bc.chainId = genesis.id;
+
+// Light clients store only block headers, and do not mine.
+let isLight = !!config.light;
+let NodeClass = isLight ? TcpLightClient : TcpMiner;
+
 console.log(`Starting ${name}`);
-let minnie = new TcpMiner({name: name, keyPair: config.keyPair, connection: config.connection, startingBlock: genesis});
+let minnie = new NodeClass({name: name, keyPair: config.keyPair, connection: config.connection, startingBlock: genesis});
 
 // Silencing the logging messages
 minnie.log = function(){};
@@ -146,8 +203,10 @@ let rl = readline.createInterface({
 });
 
 function readUserInput() {
+  // A light client does not know its balance, since it does not keep full blocks.
+  let funds = isLight ? "unknown (light client)" : minnie.availableGold;
   rl.question(`
-  Funds: ${minnie.availableGold}
+  Funds: ${funds}
   Address: ${minnie.address}
   Pending transactions: ${minnie.showPendingOut()}
   
@@ -155,6 +214,7 @@ function readUserInput() {
   *(c)onnect to miner?
   *(t)ransfer funds?
   *(r)esend pending transactions?
+  *raise the (f)ee of a pending transaction?
   *show (b)alances?
   *show blocks for (d)ebugging and exit?
   *(s)ave your state?
@@ -181,14 +241,18 @@ function readUserInput() {
       case 't':
         rl.question(`  amount: `, (amt) => {
           amt = parseInt(amt, 10);
-          if (amt > minnie.availableGold) {
+          if (!isLight && amt > minnie.availableGold) {
             console.log(`***Insufficient gold.  You only have ${minnie.availableGold}.`);
             readUserInput();
           } else {
             rl.question(`  address: `, (addr) => {
               let output = {amount: amt, address: addr};
-              console.log(`Transferring ${amt} gold to ${addr}.`);
-              minnie.postTransaction([output]);
+              try {
+                minnie.postTransaction([output]);
+                console.log(`Transferring ${amt} gold to ${addr}.`);
+              } catch (e) {
+                console.log(`***${e.message}`);
+              }
               readUserInput();
             });
           }
@@ -197,6 +261,19 @@ function readUserInput() {
       case 'r':
         minnie.resendPendingTransactions();
         break;
+      case 'f':
+        rl.question(`  transaction id: `, (txID) => {
+          rl.question(`  new fee: `, (fee) => {
+            try {
+              let tx = minnie.bumpFee(txID.trim(), parseInt(fee, 10));
+              console.log(`Replaced ${txID} with ${tx.id}.`);
+            } catch (e) {
+              console.log(`***${e.message}`);
+            }
+            readUserInput();
+          });
+        });
+        break;
       case 's':
         rl.question(`  file name: `, (fname) => {
           minnie.saveJson(fname);
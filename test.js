@@ -7,16 +7,37 @@ const utils = require('./utils.js');
 const Block = require('./block.js');
 const Blockchain = require('./blockchain.js');
 const Client = require('./client.js');
+const LightClient = require('./light-client.js');
+const Mempool = require('./mempool.js');
 const Miner = require('./miner.js');
+const SignatureCache = require('./signature-cache.js');
+const StateMap = require('./state-map.js');
 const Transaction = require('./transaction.js');
+const ValidationError = require('./validation-error.js');
 
 // Generating keypair for multiple test cases, since key generation is slow.
 const kp = utils.generateKeypair();
 let addr = utils.calcAddress(kp.public);
+const kp2 = utils.generateKeypair();
+let addr2 = utils.calcAddress(kp2.public);
+
+// Addresses that are only paid, so no keys are needed for them.
+const ffff = utils.calcAddress("ffff");
+const face = utils.calcAddress("face");
+const abcd = utils.calcAddress("abcd");
 
 // Adding a POW target that should be trivial to match.
 const EASY_POW_TARGET = BigInt("0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff");
 
+// A harder target, requiring 16 times as much work as the easy target.
+const MEDIUM_POW_TARGET = BigInt("0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff");
+
+// Finds a valid proof for a block, without needing a miner.
+function findProof(block) {
+  block.proof = 0;
+  while (!block.hasValidProof()) block.proof++;
+}
+
 // Setting blockchain configuration.  (Usually this would be done during the creation of the genesis block.)
 Blockchain.createInstance({ blockClass: Block, transactionClass: Transaction });
 
@@ -31,27 +52,333 @@ describe('utils', () => {
       assert.ok(!utils.verifySignature(kp.public, "goodbye", sig));
     });
   });
+
+  describe('.generateKeypairFromMnemonic', () => {
+    const mnemonic = "antenna dwarf settle sleep must wool ocean once banana tiger distance gate great similar chief cheap dinner dolphin picture swing twenty two file nuclear";
+
+    ['ed25519', 'secp256k1'].forEach((sigAlg) => {
+      it(`should derive the same ${sigAlg} keys from the same mnemonic and password`, () => {
+        let keys = utils.generateKeypairFromMnemonic(mnemonic, "pswd", sigAlg);
+        assert.equal(keys.sigAlg, sigAlg);
+        assert.equal(utils.generateKeypairFromMnemonic(mnemonic, "pswd", sigAlg).public, keys.public);
+        assert.notEqual(utils.generateKeypairFromMnemonic(mnemonic, "other", sigAlg).public, keys.public);
+
+        let sig = utils.sign(keys.private, "hello", sigAlg);
+        assert.isTrue(utils.verifySignature(keys.public, "hello", sig, sigAlg));
+        assert.isFalse(utils.verifySignature(keys.public, "goodbye", sig, sigAlg));
+      });
+    });
+
+    it('should reject signatures checked with the wrong or an unknown algorithm', () => {
+      let keys = utils.generateKeypair('ed25519');
+      let sig = utils.sign(keys.private, "hello", 'ed25519');
+      assert.isFalse(utils.verifySignature(keys.public, "hello", sig, 'secp256k1'));
+      assert.isFalse(utils.verifySignature(keys.public, "hello", sig, 'RSA-SHA256'));
+      assert.isFalse(utils.verifySignature(keys.public, "hello", sig, 'unknown'));
+      assert.throws(() => utils.generateKeypair('unknown'), /Unsupported/);
+    });
+  });
+
+  describe('.encode', () => {
+    it('should produce the same encoding regardless of key order', () => {
+      let a = {x: 1, y: {b: [1, {d: 2, c: 3}], a: "s"}};
+      let b = {y: {a: "s", b: [1, {c: 3, d: 2}]}, x: 1};
+      assert.equal(utils.encode(a), utils.encode(b));
+      assert.equal(utils.encode(a), '{"x":1,"y":{"a":"s","b":[1,{"c":3,"d":2}]}}');
+    });
+
+    it('should omit undefined properties', () => {
+      assert.equal(utils.encode({a: undefined, b: [undefined]}), '{"b":[null]}');
+    });
+
+    it('should decode back to the same value', () => {
+      let o = {x: [1, 2, {y: "z"}], w: null};
+      assert.deepEqual(utils.decode(utils.encode(o)), o);
+    });
+  });
+
+  describe('.verifyMerkleProof', () => {
+    let leaves = ["a", "b", "c", "d", "e"].map((s) => utils.hash(s));
+    let root = utils.merkleRoot(leaves);
+
+    it('should accept a valid proof for every leaf', () => {
+      leaves.forEach((leaf, i) => {
+        let proof = utils.merkleProof(leaves, i);
+        assert.ok(utils.verifyMerkleProof(leaf, proof, root));
+      });
+    });
+
+    it('should reject a proof for a leaf not in the tree', () => {
+      let proof = utils.merkleProof(leaves, 2);
+      assert.ok(!utils.verifyMerkleProof(utils.hash("z"), proof, root));
+    });
+
+    it('should reject an inner node presented as a leaf', () => {
+      // The parent of the first two leaves, with the parent of the next two as its sibling.
+      let levels = utils.merkleLevels(leaves);
+      let inner = levels[2][0];
+      let proof = utils.merkleProof(leaves, 0).slice(1);
+      assert.deepEqual(proof[0], { hash: levels[2][1], left: false });
+      assert.ok(!utils.verifyMerkleProof(inner, proof, root));
+    });
+  });
+
+  describe('.updateMerkleLevels', () => {
+    it('should give the same root as rebuilding the tree', () => {
+      for (let n = 1; n <= 9; n++) {
+        let leaves = [...Array(n).keys()].map((i) => utils.hash(`leaf${i}`));
+        let levels = utils.merkleLevels(leaves.slice());
+        assert.equal(levels[levels.length - 1][0], utils.merkleRoot(leaves));
+
+        let changed = [0, n - 1, Math.floor(n / 2)];
+        changed.forEach((i) => {
+          leaves[i] = utils.hash(`changed${i}`);
+          levels[0][i] = leaves[i];
+        });
+        utils.updateMerkleLevels(levels, changed);
+        assert.equal(levels[levels.length - 1][0], utils.merkleRoot(leaves));
+      }
+    });
+  });
+});
+
+describe('Blockchain', () => {
+  describe('#coinbaseRewardAt', () => {
+    let bc = Blockchain.getInstance();
+    let {coinbaseReward, halvingInterval, minCoinbaseReward, maxSupply} = bc;
+
+    afterEach(() => {
+      Object.assign(bc, {coinbaseReward, halvingInterval, minCoinbaseReward, maxSupply});
+    });
+
+    it("should halve the reward every interval, down to the minimum.", () => {
+      Object.assign(bc, {coinbaseReward: 25, halvingInterval: 10, minCoinbaseReward: 5});
+      assert.equal(bc.coinbaseRewardAt(0), 0);
+      assert.equal(bc.coinbaseRewardAt(1), 25);
+      assert.equal(bc.coinbaseRewardAt(10), 25);
+      assert.equal(bc.coinbaseRewardAt(11), 12);
+      assert.equal(bc.coinbaseRewardAt(21), 6);
+      assert.equal(bc.coinbaseRewardAt(31), 5);
+      assert.equal(bc.coinbaseRewardAt(1000), 5);
+    });
+
+    it("should stop paying rewards once the maximum supply is reached.", () => {
+      Object.assign(bc, {coinbaseReward: 25, maxSupply: 60});
+      assert.equal(bc.coinbaseRewardAt(1), 25);
+      assert.equal(bc.coinbaseRewardAt(2), 25);
+      assert.equal(bc.coinbaseRewardAt(3), 10);
+      assert.equal(bc.coinbaseRewardAt(4), 0);
+    });
+  });
+});
+
+describe('StateMap', () => {
+  let base = new Map([ ["ffff", 100], ["face", 99] ]);
+
+  it("should look up values through its parents, without changing them.", () => {
+    let m1 = new StateMap(base);
+    m1.set("ffff", 120);
+    let m2 = new StateMap(m1);
+    m2.set("beef", 5);
+
+    assert.equal(m2.get("ffff"), 120);
+    assert.equal(m2.get("face"), 99);
+    assert.equal(m2.get("beef"), 5);
+    assert.isUndefined(m1.get("beef"));
+    assert.equal(base.get("ffff"), 100);
+    assert.equal(m2.changes.size, 1);
+  });
+
+  it("should iterate over the combined state.", () => {
+    let m1 = new StateMap(base);
+    m1.set("face", 50);
+    let m2 = new StateMap(m1);
+    m2.set("beef", 5);
+
+    assert.deepEqual(new Map(m2), new Map([ ["ffff", 100], ["face", 50], ["beef", 5] ]));
+    assert.equal(m2.size, 3);
+  });
+
+  it("should copy the full state and drop its parent when it is a snapshot.", () => {
+    let m1 = new StateMap(base);
+    m1.set("face", 50);
+    let m2 = new StateMap(m1, true);
+
+    assert.isNull(m2.parent);
+    assert.equal(m2.get("ffff"), 100);
+    assert.equal(m2.get("face"), 50);
+  });
 });
 
 describe("Transaction", () => {
-  let outputs = [{amount: 20, address: "ffff"},
-                 {amount: 40, address: "face"}];
+  let outputs = [{amount: 20, address: ffff},
+                 {amount: 40, address: face}];
   let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 1});
   t.sign(kp.private);
 
+  describe("#id", () => {
+    it('should not depend on the order of keys in the data field', () => {
+      let t1 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1, data: {a: 1, b: 2}});
+      let t2 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1, data: {b: 2, a: 1}});
+      assert.equal(t1.id, t2.id);
+    });
+
+    it('should depend on the lock times', () => {
+      let t1 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1});
+      let t2 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1, expiresAt: 10});
+      assert.notEqual(t1.id, t2.id);
+    });
+
+    it('should default to the current chain ID, and depend on it', () => {
+      let t1 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1});
+      let t2 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, nonce: 1, chainId: "other"});
+      assert.equal(t1.chainId, Blockchain.CHAIN_ID);
+      assert.notEqual(t1.id, t2.id);
+    });
+  });
+
   describe("#totalOutput", () => {
     it('should sum up all of the outputs and the transaction fee', () => {
       assert.equal(t.totalOutput(), 61);
     });
   });
 
+  describe("#validateFormat", () => {
+    function ruleBroken(fields) {
+      let tx = new Transaction(Object.assign({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 1}, fields));
+      let err = tx.validateFormat();
+      if (err) assert.equal(err.code, ValidationError.MALFORMED_TRANSACTION);
+      return err && err.details.rule;
+    }
+
+    it('should accept a well-formed transaction', () => {
+      assert.isNull(ruleBroken({}));
+      assert.isNull(ruleBroken({fee: 0, outputs: [{amount: 0, address: ffff}]}));
+      assert.isNull(ruleBroken({outputs: [{amount: "20", address: ffff}]}));
+    });
+
+    it('should require integer amounts', () => {
+      assert.equal(ruleBroken({outputs: [{amount: 1.5, address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({outputs: [{amount: "12abc", address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({outputs: [{amount: NaN, address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({outputs: [{address: ffff}]}), 'amount');
+    });
+
+    it('should reject negative amounts and fees', () => {
+      assert.equal(ruleBroken({outputs: [{amount: -20, address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({outputs: [{amount: "-20", address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({fee: -1}), 'fee');
+      assert.equal(ruleBroken({fee: 0.5}), 'fee');
+    });
+
+    it('should require non-negative integer lock times', () => {
+      assert.isNull(ruleBroken({validAfter: 5, expiresAt: 10}));
+      assert.equal(ruleBroken({validAfter: "x"}), 'validAfter');
+      assert.equal(ruleBroken({validAfter: NaN}), 'validAfter');
+      assert.equal(ruleBroken({expiresAt: "x"}), 'expiresAt');
+      assert.equal(ruleBroken({expiresAt: -1}), 'expiresAt');
+    });
+
+    it('should require a non-negative integer nonce', () => {
+      assert.equal(ruleBroken({nonce: -1}), 'nonce');
+      assert.equal(ruleBroken({nonce: "1"}), 'nonce');
+    });
+
+    it('should reject amounts that could overflow', () => {
+      assert.equal(ruleBroken({outputs: [{amount: Number.MAX_SAFE_INTEGER + 1, address: ffff}]}), 'amount');
+      assert.equal(ruleBroken({outputs: [{amount: Number.MAX_SAFE_INTEGER, address: ffff}]}), 'overflow');
+    });
+
+    it('should require between one and MAX_TX_OUTPUTS outputs', () => {
+      assert.equal(ruleBroken({outputs: []}), 'outputs');
+      let many = new Array(Blockchain.MAX_TX_OUTPUTS + 1).fill({amount: 1, address: ffff});
+      assert.equal(ruleBroken({outputs: many}), 'outputs');
+      assert.isNull(ruleBroken({outputs: many.slice(1)}));
+    });
+
+    it('should require valid addresses', () => {
+      assert.equal(ruleBroken({outputs: [{amount: 1, address: 42}]}), 'address');
+      assert.equal(ruleBroken({outputs: [{amount: 1, address: ""}]}), 'address');
+      assert.equal(ruleBroken({outputs: [{amount: 1, address: "not an address"}]}), 'address');
+      assert.equal(ruleBroken({outputs: [{amount: 1, address: "ffff"}]}), 'address');
+      assert.equal(ruleBroken({outputs: [{amount: 1, address: ffff + ffff}]}), 'address');
+      assert.equal(ruleBroken({outputs: [{amount: 1}]}), 'address');
+      assert.equal(ruleBroken({from: {}}), 'from');
+    });
+
+    it('should check the keys, threshold, and signatures of multisig transactions', () => {
+      let pubKeys = [kp.public, kp2.public];
+      assert.isNull(ruleBroken({pubKeys: pubKeys, threshold: 2}));
+      assert.equal(ruleBroken({pubKeys: [], threshold: 1}), 'pubKeys');
+      assert.equal(ruleBroken({pubKeys: [kp.public, 5], threshold: 1}), 'pubKeys');
+      assert.equal(ruleBroken({pubKeys: pubKeys, threshold: 3}), 'threshold');
+      assert.equal(ruleBroken({pubKeys: pubKeys, threshold: "1"}), 'threshold');
+      assert.equal(ruleBroken({pubKeys: pubKeys, threshold: 1, sigs: [null]}), 'sigs');
+    });
+
+    it('should not throw on keys or signatures that are not arrays', () => {
+      assert.isFalse(new Transaction({from: addr, pubKeys: 5, outputs: outputs, nonce: 0}).isMultisig());
+      let tx = new Transaction({from: addr, pubKeys: [kp.public], threshold: 1, sigs: 5, outputs: outputs, nonce: 0});
+      assert.deepEqual(tx.sigs, [null]);
+    });
+  });
+
+  describe("#validSignature", () => {
+    it('should use the signature algorithm of the transaction', () => {
+      let keys = utils.generateKeypair('ed25519');
+      let from = utils.calcAddress(keys.public);
+      let tx = new Transaction({from: from, pubKey: keys.public, sigAlg: 'ed25519', outputs: outputs, nonce: 0});
+      tx.sign(keys.private);
+      assert.isTrue(tx.validSignature());
+
+      // The algorithm is signed, so it cannot be changed afterwards.
+      let retagged = new Transaction(Object.assign({}, tx, {sigAlg: 'secp256k1'}));
+      assert.notEqual(retagged.id, tx.id);
+      assert.isFalse(retagged.validSignature());
+    });
+  });
+
+  describe("#validSignature multisig", () => {
+    let pubKeys = [kp.public, kp2.public].sort();
+    let msAddr = utils.calcMultisigAddress(pubKeys, 2);
+
+    it('should not depend on the order of the keys in the address', () => {
+      assert.equal(utils.calcMultisigAddress([kp2.public, kp.public], 2), msAddr);
+      assert.notEqual(utils.calcMultisigAddress(pubKeys, 1), msAddr);
+    });
+
+    it('should require threshold signatures from the account keys', () => {
+      let tx = new Transaction({from: msAddr, pubKeys: pubKeys, threshold: 2, outputs: outputs, nonce: 0});
+      assert.isFalse(tx.isSigned());
+      tx.sign(kp.private, kp.public);
+      assert.isTrue(tx.isSigned());
+      assert.isFalse(tx.validSignature());
+      tx.sign(kp2.private, kp2.public);
+      assert.isTrue(tx.validSignature());
+    });
+
+    it('should reject signatures in the wrong slot, and keys from a different account', () => {
+      let tx = new Transaction({from: msAddr, pubKeys: pubKeys, threshold: 2, outputs: outputs, nonce: 0});
+      let i = pubKeys.indexOf(kp.public);
+      tx.sigs[i] = utils.sign(kp2.private, tx.id);
+      tx.sigs[1 - i] = utils.sign(kp2.private, tx.id);
+      assert.isFalse(tx.validSignature());
+
+      let other = new Transaction({from: addr, pubKeys: pubKeys, threshold: 2, outputs: outputs, nonce: 0});
+      other.sign(kp.private, kp.public);
+      other.sign(kp2.private, kp2.public);
+      assert.isFalse(other.validSignature());
+      assert.throws(() => other.sign(kp.private, "not a signer"), /not one of the signers/);
+    });
+  });
+
 });
 
 describe('Block', () => {
   let prevBlock = new Block("8e7912");
-  prevBlock.balances = new Map([ [addr, 500], ["ffff", 100], ["face", 99] ]);
+  prevBlock.balances = new Map([ [addr, 500], [ffff, 100], [face, 99] ]);
 
-  let outputs = [{amount: 20, address: "ffff"}, {amount: 40, address: "face"}];
+  let outputs = [{amount: 20, address: ffff}, {amount: 40, address: face}];
   let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 0});
 
   describe('#addTransaction', () => {
@@ -64,7 +391,7 @@ describe('Block', () => {
     it("should fail if the 'from' account does not have enough gold.", () => {
       let b = new Block(addr, prevBlock);
       let tx = new Transaction(t);
-      tx.outputs = [{amount:20000000000000, address: "ffff"}];
+      tx.outputs = [{amount:20000000000000, address: ffff}];
       tx.sign(kp.private);
       assert.isFalse(b.addTransaction(tx));
     });
@@ -75,8 +402,8 @@ describe('Block', () => {
       tx.sign(kp.private);
       b.addTransaction(tx);
       assert.equal(b.balances.get(addr), 500-61); // Extra 1 for transaction fee.
-      assert.equal(b.balances.get("ffff"), 100+20);
-      assert.equal(b.balances.get("face"), 99+40);
+      assert.equal(b.balances.get(ffff), 100+20);
+      assert.equal(b.balances.get(face), 99+40);
     });
 
     it("should ignore any transactions that were already received in a previous block.", () => {
@@ -106,13 +433,13 @@ describe('Block', () => {
 
       // Verifying prevBlock's balances are unchanged.
       assert.equal(prevBlock.balances.get(addr), 500);
-      assert.equal(prevBlock.balances.get("ffff"), 100);
-      assert.equal(prevBlock.balances.get("face"), 99);
+      assert.equal(prevBlock.balances.get(ffff), 100);
+      assert.equal(prevBlock.balances.get(face), 99);
 
       // Verifying b's balances are correct.
       assert.equal(b.balances.get(addr), 500-61);
-      assert.equal(b.balances.get("ffff"), 100+20);
-      assert.equal(b.balances.get("face"), 99+40);
+      assert.equal(b.balances.get(ffff), 100+20);
+      assert.equal(b.balances.get(face), 99+40);
     });
 
     it("should take a serialized/deserialized block and get back the same block.", () => {
@@ -133,22 +460,279 @@ describe('Block', () => {
       assert.equal(b2.hashVal(), hash);
 
       assert.equal(b2.balances.get(addr), 500-61);
-      assert.equal(b2.balances.get("ffff"), 100+20);
-      assert.equal(b2.balances.get("face"), 99+40);
+      assert.equal(b2.balances.get(ffff), 100+20);
+      assert.equal(b2.balances.get(face), 99+40);
+    });
+
+    it("should calculate the accumulated work from the deserialized block's target.", () => {
+      let b = new Block(addr, prevBlock, EASY_POW_TARGET);
+      assert.notEqual(EASY_POW_TARGET, Blockchain.POW_TARGET);
+
+      let b2 = Blockchain.deserializeBlock(JSON.parse(b.serialize()), prevBlock);
+      assert.equal(b2.target, EASY_POW_TARGET);
+      assert.equal(b2.accumulatedWork, b.accumulatedWork);
+
+      let g = new Block(addr, null, EASY_POW_TARGET);
+      let g2 = Blockchain.deserializeBlock(JSON.parse(g.serialize()));
+      assert.equal(g2.accumulatedWork, g.accumulatedWork);
+    });
+  });
+
+  describe('#size', () => {
+    it("should count the serialized block, including each transaction's entry.", () => {
+      let b = new Block(addr, prevBlock);
+      assert.equal(b.size(), Buffer.byteLength(b.serialize()));
+
+      [0, 1].map((nonce) => new Transaction(Object.assign({}, t, {nonce: nonce}))).forEach((tx) => {
+        tx.sign(kp.private);
+        let expected = b.size() + b.entrySize(tx);
+        assert.isTrue(b.addTransaction(tx));
+        assert.equal(b.size(), expected);
+      });
+      assert.equal(b.size(), Buffer.byteLength(b.serialize()));
+    });
+  });
+
+  describe('#validateTransaction', () => {
+    it("should reject a negative output that would create money.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction({from: addr, pubKey: kp.public, fee: 1, nonce: 0,
+        outputs: [{amount: -1000, address: ffff}, {amount: 1000, address: addr2}]});
+      tx.sign(kp.private);
+      assert.equal(b.validateTransaction(tx).code, ValidationError.MALFORMED_TRANSACTION);
+      assert.isFalse(b.addTransaction(tx));
+      assert.isUndefined(b.balances.get(addr2));
+    });
+
+    it("should report transactions signed for a different blockchain.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.chainId = "other";
+      tx.sign(kp.private);
+      let err = b.validateTransaction(tx);
+      assert.equal(err.code, ValidationError.WRONG_CHAIN);
+      assert.deepEqual(err.details, { expected: Blockchain.CHAIN_ID, actual: "other" });
+    });
+
+    it("should report unsigned transactions.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      let err = b.validateTransaction(tx);
+      assert.equal(err.code, ValidationError.UNSIGNED);
+      assert.equal(err.txID, tx.id);
+    });
+
+    it("should report the balance when the sender does not have enough gold.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.outputs = [{amount: 20000, address: ffff}];
+      tx.sign(kp.private);
+      let err = b.validateTransaction(tx);
+      assert.equal(err.code, ValidationError.INSUFFICIENT_FUNDS);
+      assert.deepEqual(err.details, { balance: 500, required: 20001 });
+    });
+
+    it("should report the expected nonce for out of order transactions.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.nonce = 2;
+      tx.sign(kp.private);
+      let err = b.validateTransaction(tx);
+      assert.equal(err.code, ValidationError.FUTURE_NONCE);
+      assert.deepEqual(err.details, { expected: 0, actual: 2 });
+    });
+
+    it("should enforce lock times given as block heights.", () => {
+      let b = new Block(addr, prevBlock);
+
+      let early = new Transaction(Object.assign({}, t, {validAfter: b.chainLength}));
+      early.sign(kp.private);
+      assert.equal(b.validateTransaction(early).code, ValidationError.NOT_YET_VALID);
+
+      let late = new Transaction(Object.assign({}, t, {expiresAt: b.chainLength - 1}));
+      late.sign(kp.private);
+      assert.equal(b.validateTransaction(late).code, ValidationError.EXPIRED);
+
+      let onTime = new Transaction(Object.assign({}, t, {validAfter: b.chainLength - 1, expiresAt: b.chainLength}));
+      onTime.sign(kp.private);
+      assert.isNull(b.validateTransaction(onTime));
+    });
+
+    it("should enforce lock times given as timestamps.", () => {
+      let b = new Block(addr, prevBlock);
+
+      let early = new Transaction(Object.assign({}, t, {validAfter: b.timestamp}));
+      early.sign(kp.private);
+      assert.equal(b.validateTransaction(early).code, ValidationError.NOT_YET_VALID);
+
+      let late = new Transaction(Object.assign({}, t, {expiresAt: b.timestamp - 1}));
+      late.sign(kp.private);
+      assert.equal(b.validateTransaction(late).code, ValidationError.EXPIRED);
+    });
+
+    it("should return null for valid transactions.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      assert.isNull(b.validateTransaction(tx));
+    });
+
+    it("should store the reason when addTransaction fails.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      assert.isTrue(b.addTransaction(tx));
+      assert.isFalse(b.addTransaction(tx));
+      assert.equal(b.validationError.code, ValidationError.DUPLICATE);
+    });
+  });
+
+  describe('#merkleProof', () => {
+    it("should prove that a transaction is included in the block header.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b.addTransaction(tx);
+
+      let proof = b.merkleProof(tx.id);
+      assert.ok(utils.verifyMerkleProof(tx.id, proof, b.header().merkleRoot));
+    });
+
+    it("should return null for a transaction not in the block.", () => {
+      let b = new Block(addr, prevBlock);
+      assert.isNull(b.merkleProof(t.id));
+    });
+
+    it("should change the block hash when transactions are added.", () => {
+      let b = new Block(addr, prevBlock);
+      let hash = b.hashVal();
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b.addTransaction(tx);
+      assert.notEqual(b.hashVal(), hash);
+    });
+  });
+
+  describe('#inheritState', () => {
+    let bc = Blockchain.getInstance();
+    let {snapshotInterval} = bc;
+    after(() => {
+      bc.snapshotInterval = snapshotInterval;
+    });
+
+    it("should store only the changes made by each block, except for snapshots.", () => {
+      bc.snapshotInterval = 2;
+
+      let b1 = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b1.addTransaction(tx);
+      // The sender, the two receivers, and the previous block's miner.
+      assert.equal(b1.balances.changes.size, 4);
+
+      let b2 = new Block(addr, b1);
+      assert.isNull(b2.balances.parent);
+
+      // Balances can still be found at every block.
+      assert.equal(b2.balanceOf(ffff), 100+20);
+      assert.equal(b1.balanceOf(ffff), 100+20);
+      assert.equal(prevBlock.balanceOf(ffff), 100);
+    });
+  });
+
+  describe('#calcStateRoot', () => {
+    // Hashes every account from scratch.
+    function fullStateRoot(b) {
+      let addresses = [...new Set([...b.balances.keys(), ...b.nextNonce.keys()])].sort();
+      return utils.merkleRoot(addresses.map((address) => utils.hash(utils.encode([
+        address, b.balanceOf(address), b.nextNonce.get(address) || 0]))));
+    }
+
+    function pay(nonce, address) {
+      let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: 1, address: address}], fee: 1, nonce: nonce});
+      tx.sign(kp.private);
+      return tx;
+    }
+
+    it("should match a full rehash as accounts change, are added, and fork.", () => {
+      let b1 = new Block(addr, prevBlock);
+      b1.addTransaction(pay(0, ffff));
+      assert.equal(b1.calcStateRoot(), fullStateRoot(b1));
+
+      // Only existing accounts change.
+      let b2 = new Block(addr, b1);
+      b2.addTransaction(pay(1, face));
+      assert.equal(b2.calcStateRoot(), fullStateRoot(b2));
+
+      // A new account is added.
+      let b3 = new Block(addr, b2);
+      b3.addTransaction(pay(2, abcd));
+      assert.equal(b3.calcStateRoot(), fullStateRoot(b3));
+
+      // The roots are updated as transactions are added.
+      b3.addTransaction(pay(3, ffff));
+      assert.equal(b3.calcStateRoot(), fullStateRoot(b3));
+
+      // A fork from an older block, whose tree is no longer kept.
+      let fork = new Block(abcd, b1);
+      fork.addTransaction(pay(1, ffff));
+      assert.equal(fork.calcStateRoot(), fullStateRoot(fork));
+    });
+  });
+
+  describe('#balanceProof', () => {
+    it("should prove an account's balance and nonce against the block header.", () => {
+      let b = new Block(addr, prevBlock);
+      let tx = new Transaction(t);
+      tx.sign(kp.private);
+      b.addTransaction(tx);
+
+      let proof = b.balanceProof(addr);
+      assert.equal(proof.balance, 500-61);
+      assert.equal(proof.nonce, 1);
+
+      // Only the header is needed to check the proof.
+      let header = Blockchain.deserializeHeader(b);
+      assert.isTrue(header.verifyBalanceProof(proof));
+      assert.isFalse(header.verifyBalanceProof(Object.assign({}, proof, { balance: 500 })));
+    });
+
+    it("should return null for an account that has never been used.", () => {
+      let b = new Block(addr, prevBlock);
+      assert.isNull(b.balanceProof("0000"));
+    });
+  });
+
+  describe('#isBetterThan', () => {
+    let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
+
+    it("should prefer the chain with more work over a longer chain.", () => {
+      let easy1 = new Block(addr, genesis, EASY_POW_TARGET);
+      let easy2 = new Block(addr, easy1, EASY_POW_TARGET);
+      let medium1 = new Block(addr, genesis, MEDIUM_POW_TARGET);
+      assert.isTrue(medium1.isBetterThan(easy2));
+      assert.isFalse(easy2.isBetterThan(medium1));
+    });
+
+    it("should break ties between chains with equal work consistently.", () => {
+      let b1 = new Block(addr, genesis, EASY_POW_TARGET);
+      let b2 = new Block(face, genesis, EASY_POW_TARGET);
+      assert.equal(b1.accumulatedWork, b2.accumulatedWork);
+      assert.notEqual(b1.isBetterThan(b2), b2.isBetterThan(b1));
     });
   });
 });
 
 describe('Client', () => {
-  let genesis = new Block("8e7912");
-  genesis.balances = new Map([ [addr, 500], ["ffff", 100], ["face", 99] ]);
+  let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
+  genesis.balances = new Map([ [addr, 500], [ffff, 100], [face, 99] ]);
   let net = { broadcast: function(){} };
 
-  let outputs = [{amount: 20, address: "ffff"}, {amount: 40, address: "face"}];
+  let outputs = [{amount: 20, address: ffff}, {amount: 40, address: face}];
   let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 0});
   t.sign(kp.private);
 
-  let outputs2 = [{amount: 10, address: "face"}];
+  let outputs2 = [{amount: 10, address: face}];
   let t2 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs2, fee: 1, nonce: 1});
   t2.sign(kp.private);
 
@@ -158,6 +742,15 @@ describe('Client', () => {
   let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
   miner.log = function(){};
 
+  // Makes a block with a valid proof, a second after the previous block.
+  function mine(prev, txs) {
+    let b = new Block(addr, prev, EASY_POW_TARGET);
+    b.timestamp = prev.timestamp + 1000;
+    txs.forEach((tx) => b.addTransaction(tx));
+    findProof(b);
+    return b;
+  }
+
   describe('#receiveBlock', () => {
     it("should reject any block without a valid proof.", () => {
       let b = new Block(addr, genesis);
@@ -201,5 +794,1038 @@ describe('Client', () => {
       assert.equal(clint.blocks.get(bAlt.id), bAlt);
       assert.equal(clint.lastBlock, b2);
     });
+
+    it("should reject any block that does not use the expected target.", () => {
+      let b = new Block(addr, genesis, MEDIUM_POW_TARGET);
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+
+    it("should reject any block with a timestamp too far in the future.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.timestamp = Date.now() + Blockchain.MAX_CLOCK_DRIFT + 60000;
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+
+    it("should reject any block with a timestamp not later than the median of the previous blocks.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.timestamp = genesis.timestamp;
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+  });
+
+  describe('#bumpFee', () => {
+    it("should replace a pending transaction with one paying a higher fee.", () => {
+      let posted = [];
+      let net = { broadcast: (msg, o) => posted.push(o) };
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+
+      let tx = client.postTransaction([{amount: 10, address: ffff}], 1);
+      let replacement = client.bumpFee(tx.id, 3);
+
+      assert.equal(replacement.nonce, tx.nonce);
+      assert.equal(replacement.fee, 3);
+      assert.isTrue(replacement.validSignature());
+      assert.isFalse(client.pendingOutgoingTransactions.has(tx.id));
+      assert.isTrue(client.pendingOutgoingTransactions.has(replacement.id));
+      assert.equal(client.nonce, 1);
+      assert.equal(posted[1], replacement);
+
+      assert.throws(() => client.bumpFee(replacement.id, 3), /must be higher/);
+      assert.throws(() => client.bumpFee(tx.id, 4), /No pending transaction/);
+      assert.throws(() => client.bumpFee(replacement.id, 1000), /account only has/);
+    });
+  });
+
+  describe('#getTransactionStatus', () => {
+    let bc = Blockchain.getInstance();
+    let {confirmedDepth} = bc;
+    before(() => {
+      // A block is confirmed once there is one block after it.
+      bc.confirmedDepth = 1;
+    });
+    after(() => {
+      bc.confirmedDepth = confirmedDepth;
+    });
+
+    it("should track a transaction until it is confirmed or dropped.", () => {
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+      let events = [];
+      ['txIncluded', 'txConfirmed', 'txDropped'].forEach((e) =>
+        client.on(e, (status) => events.push([e, status.txID, status.reason])));
+
+      let tx = client.postTransaction([{amount: 10, address: ffff}], 1);
+      assert.equal(client.getTransactionStatus(tx.id).status, 'pending');
+      assert.equal(client.getTransactionStatus("missing").status, 'unknown');
+
+      let b1 = mine(genesis, [tx]);
+      client.receiveBlock(b1);
+      assert.deepEqual(client.getTransactionStatus(tx.id),
+        {txID: tx.id, status: 'included', blockID: b1.id, height: 1, confirmations: 1});
+
+      let replaced = client.postTransaction([{amount: 10, address: ffff}], 1);
+      let replacement = client.bumpFee(replaced.id, 2);
+      let expiring = client.postTransaction([{amount: 10, address: ffff}], 1, {expiresAt: 3});
+
+      let b2 = mine(b1, [replacement]);
+      client.receiveBlock(b2);
+      assert.equal(client.getTransactionStatus(tx.id).status, 'confirmed');
+      assert.equal(client.getTransactionStatus(tx.id).confirmations, 2);
+      assert.equal(client.getTransactionStatus(replaced.id).status, 'pending');
+
+      let b3 = mine(b2, []);
+      client.receiveBlock(b3);
+      assert.deepEqual(client.getTransactionStatus(replaced.id),
+        {txID: replaced.id, status: 'dropped', reason: 'replaced', replacedBy: replacement.id});
+
+      let b4 = mine(b3, []);
+      client.receiveBlock(b4);
+      client.receiveBlock(mine(b4, []));
+      assert.equal(client.getTransactionStatus(expiring.id).reason, 'expired');
+      assert.isFalse(client.pendingOutgoingTransactions.has(expiring.id));
+
+      assert.deepEqual(events, [
+        ['txIncluded', tx.id, undefined],
+        ['txConfirmed', tx.id, undefined],
+        ['txIncluded', replacement.id, undefined],
+        ['txDropped', replaced.id, 'replaced'],
+        ['txConfirmed', replacement.id, undefined],
+        ['txDropped', expiring.id, 'expired'],
+      ]);
+    });
+  });
+
+  describe('#unconfirmedIncoming', () => {
+    let bc = Blockchain.getInstance();
+    let {confirmedDepth} = bc;
+    before(() => {
+      bc.confirmedDepth = 1;
+    });
+    after(() => {
+      bc.confirmedDepth = confirmedDepth;
+    });
+
+    function pay(nonce, amount, address) {
+      let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount, address}], fee: 1, nonce: nonce});
+      tx.sign(kp.private);
+      return tx;
+    }
+
+    it("should count payments until they are confirmed or dropped.", () => {
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp2});
+      client.log = function(){};
+
+      let tx = pay(0, 10, addr2);
+      let forged = new Transaction(Object.assign({}, pay(0, 20, addr2), {sig: tx.sig}));
+      client.emit(Blockchain.POST_TRANSACTION, JSON.parse(JSON.stringify(tx)));
+      client.emit(Blockchain.POST_TRANSACTION, forged);
+      client.emit(Blockchain.POST_TRANSACTION, pay(0, 30, ffff));
+      assert.equal(client.unconfirmedIncoming, 10);
+
+      // Still pending while the block is unconfirmed.
+      let b1 = mine(genesis, [tx]);
+      client.receiveBlock(b1);
+      assert.equal(client.unconfirmedIncoming, 10);
+
+      let b2 = mine(b1, []);
+      client.receiveBlock(b2);
+      assert.equal(client.unconfirmedIncoming, 0);
+      assert.equal(client.confirmedBalance, 10);
+
+      // A payment only seen in a block is tracked, and is dropped
+      // when a reorganization uses its nonce for another transaction.
+      let tx2 = pay(1, 5, addr2);
+      client.receiveBlock(mine(b2, [tx2]));
+      assert.isTrue(client.pendingReceivedTransactions.has(tx2.id));
+      assert.equal(client.unconfirmedIncoming, 5);
+
+      let b3 = mine(b2, [pay(1, 5, ffff)]);
+      client.receiveBlock(b3);
+      client.receiveBlock(mine(b3, []));
+      assert.equal(client.unconfirmedIncoming, 0);
+    });
+  });
+
+  describe('#handleReorg', () => {
+    it("should rebroadcast transactions that fell out of the chain, and reuse dropped nonces.", () => {
+      let posted = [];
+      let net = { broadcast: (msg, o) => posted.push(o) };
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+      let reorgs = [];
+      client.on('reorg', ({disconnected, connected}) =>
+        reorgs.push([disconnected.map((b) => b.id), connected.map((b) => b.id)]));
+
+      let expiring = client.postTransaction([{amount: 10, address: ffff}], 1, {expiresAt: 1});
+      let later = client.postTransaction([{amount: 20, address: ffff}], 1);
+      let b1 = mine(genesis, [expiring, later]);
+      client.receiveBlock(b1);
+      assert.equal(client.getTransactionStatus(later.id).status, 'included');
+
+      // Ties in work are broken by block ID, so c1 is changed until it loses to b1.
+      let c1 = mine(genesis, []);
+      while (c1.isBetterThan(b1)) {
+        c1.timestamp++;
+        findProof(c1);
+      }
+      let c2 = mine(c1, []);
+      client.receiveBlock(c1);
+      posted = [];
+      client.receiveBlock(c2);
+
+      assert.deepEqual(reorgs, [[[b1.id], [c1.id, c2.id]]]);
+      assert.deepEqual(client.getTransactionStatus(expiring.id), {txID: expiring.id, status: 'dropped', reason: 'expired'});
+      assert.equal(client.getTransactionStatus(later.id).status, 'pending');
+      assert.deepEqual(posted, [later]);
+      assert.isTrue(client.pendingOutgoingTransactions.has(later.id));
+
+      // The next transaction fills the gap left by the dropped transaction.
+      assert.equal(client.nonce, 0);
+      let replacement = client.postTransaction([{amount: 10, address: ffff}], 1);
+      assert.equal(replacement.nonce, 0);
+      assert.equal(client.nonce, 2);
+    });
+  });
+
+  describe('#recoverWallet', () => {
+    let b1 = mine(genesis, [t]);
+    let b2 = mine(b1, [t2]);
+
+    it("should recover the nonce and sent transactions once the client has synced.", () => {
+      let requests = [];
+      let net = { broadcast: (msg, o) => requests.push([msg, o]) };
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+
+      // The client is not yet synced while it is missing blocks.
+      client.receiveBlock(b2);
+      assert.isFalse(client.walletRecovered);
+      assert.deepEqual(requests.map(([msg]) => msg), [Blockchain.MISSING_BLOCK]);
+
+      client.receiveBlock(b1);
+      assert.isTrue(client.walletRecovered);
+      assert.equal(client.nonce, 2);
+      assert.equal(client.getTransactionStatus(t.id).blockID, b1.id);
+      assert.equal(client.getTransactionStatus(t2.id).status, 'included');
+      assert.deepEqual(requests[1], [Blockchain.GET_PENDING_TRANSACTIONS, {from: addr, address: addr}]);
+    });
+
+    it("should scan the chain again if the client was not on the best chain.", () => {
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+
+      // The client first syncs to a competing chain.
+      client.receiveBlock(mine(genesis, []));
+      assert.isTrue(client.walletRecovered);
+      assert.equal(client.nonce, 0);
+
+      client.receiveBlock(b2);
+      client.receiveBlock(b1);
+      assert.equal(client.lastBlock, b2);
+      assert.equal(client.nonce, 2);
+      assert.equal(client.getTransactionStatus(t.id).blockID, b1.id);
+    });
+
+    it("should recover the client's transactions from the miners' mempools.", () => {
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+      let minerNet = {
+        broadcast: function(){},
+        sendMessage: (address, msg, o) => client.emit(msg, JSON.parse(JSON.stringify(o))),
+      };
+      let miner = new Miner({net: minerNet, startingBlock: genesis});
+      miner.log = function(){};
+      [b2, b1].forEach((b) => client.receiveBlock(b));
+      [b1, b2].forEach((b) => miner.receiveBlock(b));
+
+      let t3 = new Transaction({from: addr, pubKey: kp.public, outputs: outputs2, fee: 1, nonce: 2});
+      t3.sign(kp.private);
+      let t3b = new Transaction({from: addr, pubKey: kp.public, outputs: outputs2, fee: 5, nonce: 2});
+      t3b.sign(kp.private);
+      miner.addTransaction(t3);
+      miner.providePendingTransactions({from: addr, address: addr});
+
+      assert.isTrue(client.pendingOutgoingTransactions.has(t3.id));
+      assert.equal(client.getTransactionStatus(t3.id).status, 'pending');
+      assert.equal(client.nonce, 3);
+
+      // Already included or lower-fee transactions are ignored,
+      // but a replacement paying a higher fee is kept instead.
+      client.receivePendingTransactions({transactions: [t, t3, t3b]});
+      assert.deepEqual([...client.pendingOutgoingTransactions.keys()], [t3b.id]);
+      assert.equal(client.transactionStatuses.get(t3.id).replacedBy, t3b.id);
+      assert.equal(client.nonce, 3);
+    });
+  });
+
+  describe('#getHistory', () => {
+    let b1 = mine(genesis, [t]);
+    let b2 = mine(b1, [t2]);
+    let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+    client.log = function(){};
+    client.receiveBlock(b1);
+    client.receiveBlock(b2);
+
+    it("should list transfers, fees, and rewards with the running balance.", () => {
+      let history = client.getHistory();
+      assert.equal(history.total, 7);
+      assert.deepEqual(history.entries.map((e) => [e.height, e.type, e.amount, e.counterparty]), [
+        [0, 'genesis', 500, null],
+        [1, 'sent', -20, ffff],
+        [1, 'sent', -40, face],
+        [1, 'fee', -1, null],
+        [2, 'reward', b1.totalRewards(), null],
+        [2, 'sent', -10, face],
+        [2, 'fee', -1, null],
+      ]);
+      assert.equal(history.entries[6].balance, b2.balanceOf(addr));
+      assert.equal(history.entries[3].balance, b1.balanceOf(addr));
+
+      let faceEntries = client.getHistory(face).entries;
+      assert.deepEqual(faceEntries.map((e) => [e.type, e.amount, e.txID, e.counterparty, e.balance]), [
+        ['genesis', 99, null, null, 99],
+        ['received', 40, t.id, addr, 139],
+        ['received', 10, t2.id, addr, 149],
+      ]);
+    });
+
+    it("should return pages of the history.", () => {
+      let all = client.getHistory().entries;
+      let page = client.getHistory(addr, {offset: 2, limit: 3});
+      assert.equal(page.total, all.length);
+      assert.deepEqual(page.entries, all.slice(2, 5));
+      assert.isEmpty(client.getHistory(addr, {offset: 100}).entries);
+      assert.throws(() => client.getHistory(addr, {limit: -1}), /Limit/);
+    });
+
+    it("should export the history as CSV or JSON.", () => {
+      let csv = client.exportHistory(face).split("\n");
+      assert.equal(csv[0], "height,blockID,timestamp,txID,type,counterparty,amount,balance,confirmed");
+      assert.equal(csv[2], `1,${b1.id},${b1.timestamp},${t.id},received,${addr},40,139,false`);
+      assert.equal(csv.length, 5);
+
+      let json = JSON.parse(client.exportHistory(face, {format: 'json', limit: 1}));
+      assert.deepEqual(json, client.getHistory(face, {limit: 1}));
+      assert.throws(() => client.exportHistory(face, {format: 'xml'}), /Unknown/);
+    });
+  });
+
+  describe('#postTransaction', () => {
+    it("should refuse to post a malformed transaction.", () => {
+      let client = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      client.log = function(){};
+      assert.throws(() => client.postTransaction([{amount: -10, address: ffff}]), /Malformed/);
+      assert.throws(() => client.postTransaction([]), /Malformed/);
+      assert.equal(client.nonce, 0);
+      assert.equal(client.pendingOutgoingTransactions.size, 0);
+    });
+  });
+
+  describe('#createMultisigTransaction', () => {
+    it("should post a transaction once enough co-signatures are collected.", () => {
+      let clients = new Map();
+      let posted = [];
+      let net = {
+        broadcast: (msg, o) => {
+          if (msg === Blockchain.POST_TRANSACTION) posted.push(o);
+          clients.forEach((c) => c.emit(msg, o));
+        },
+        sendMessage: (address, msg, o) => clients.get(address).emit(msg, o),
+      };
+      let alice = new Client({net: net, startingBlock: genesis, keyPair: kp});
+      let bob = new Client({net: net, startingBlock: genesis, keyPair: kp2});
+      [alice, bob].forEach((c) => { c.log = function(){}; clients.set(c.address, c); });
+
+      let msAddr = alice.createMultisigAddress([kp.public, kp2.public], 2);
+      assert.equal(bob.createMultisigAddress([kp2.public, kp.public], 2), msAddr);
+      assert.throws(() => alice.createMultisigAddress([kp.public, kp2.public], 3), /Threshold/);
+
+      bob.on('cosignRequest', (tx, requester) => bob.cosignTransaction(tx, requester));
+      let tx = alice.createMultisigTransaction(msAddr, [{amount: 10, address: ffff}], 1);
+      assert.equal(tx.nonce, 0);
+      assert.isFalse(tx.validSignature());
+      alice.requestCosignatures(tx);
+
+      assert.equal(posted.length, 1);
+      assert.equal(posted[0].id, tx.id);
+      assert.isTrue(posted[0].validSignature());
+      assert.isFalse(alice.partialTransactions.has(tx.id));
+    });
+  });
+
+  describe('#receiveBlock validation errors', () => {
+    it("should emit an 'invalidBlock' event explaining why a block was rejected.", () => {
+      let errors = [];
+      let listener = (err) => errors.push(err);
+      clint.on('invalidBlock', listener);
+
+      let b = new Block(addr, genesis, MEDIUM_POW_TARGET);
+      findProof(b);
+      clint.receiveBlock(b);
+
+      let b2 = new Block(addr, genesis, EASY_POW_TARGET);
+      b2.proof = 1;
+      while (b2.hasValidProof()) b2.proof++;
+      clint.receiveBlock(b2);
+
+      clint.removeListener('invalidBlock', listener);
+      assert.deepEqual(errors.map(err => err.code), [ValidationError.INVALID_TARGET, ValidationError.INVALID_PROOF]);
+      assert.equal(errors[0].blockID, b.id);
+    });
+
+    it("should reject any block from a different blockchain.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.chainId = "other";
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.WRONG_CHAIN);
+      assert.isFalse(clint.pendingBlocks.has(b.prevBlockHash));
+    });
+
+    it("should reject any genesis block other than the blockchain's own.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let lastBlock = clint.lastBlock;
+      let fake = {chainLength: 0, timestamp: Date.now(), target: EASY_POW_TARGET.toString(16), balances: [["evil", 1e9]]};
+      assert.isNull(clint.receiveBlock(fake));
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.WRONG_CHAIN);
+      assert.equal(clint.lastBlock, lastBlock);
+      assert.isFalse(clint.blocks.has(err.blockID));
+    });
+
+    it("should reject any block whose height does not follow the previous block.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let prev = mine(genesis, []);
+      clint.receiveBlock(prev);
+      let b = new Block(addr, prev, EASY_POW_TARGET);
+      b.chainLength = 1;
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.INVALID_HEIGHT);
+      assert.deepEqual(err.details, { expected: 2, actual: 1 });
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+
+    it("should not include a height-locked transaction early by misreporting the height.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let early = new Transaction(Object.assign({}, t, {validAfter: 1}));
+      early.sign(kp.private);
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.chainLength = 2;
+      assert.isTrue(b.addTransaction(early));
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.INVALID_HEIGHT);
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+
+    it("should reject any block whose state root does not match its state.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.addTransaction(t);
+      b.stateRoot = utils.hash("wrong");
+      findProof(b);
+      assert.isNull(clint.receiveBlock(JSON.parse(b.serialize())));
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.INVALID_STATE_ROOT);
+      assert.equal(err.blockID, b.id);
+    });
+
+    it("should report the failing transaction when rerunning a block.", () => {
+      let err;
+      let listener = (e) => err = e;
+      clint.on('invalidBlock', listener);
+
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.transactions.set(t2.id, t2);
+      findProof(b);
+      clint.receiveBlock(b);
+
+      clint.removeListener('invalidBlock', listener);
+      assert.equal(err.code, ValidationError.FUTURE_NONCE);
+      assert.equal(err.txID, t2.id);
+      assert.equal(err.blockID, b.id);
+    });
+  });
+
+  describe('#receiveBlock coinbase reward', () => {
+    it("should reject any block claiming more than the scheduled coinbase reward.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET, Blockchain.COINBASE_AMT_ALLOWED * 2);
+      findProof(b);
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+  });
+
+  describe('#receiveBlock size limits', () => {
+    let bc = Blockchain.getInstance();
+    let {maxBlockTransactions} = bc;
+
+    after(() => {
+      bc.maxBlockTransactions = maxBlockTransactions;
+    });
+
+    it("should reject any block with too many transactions.", () => {
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      b.addTransaction(t);
+      findProof(b);
+      bc.maxBlockTransactions = 0;
+      assert.isNull(clint.receiveBlock(b));
+      assert.isFalse(clint.blocks.has(b.id));
+    });
+  });
+
+  describe('#receiveBlock with worker threads', () => {
+    let bc = Blockchain.getInstance();
+    let {verifyWorkers} = bc;
+    before(() => {
+      bc.verifyWorkers = 2;
+    });
+    after(() => {
+      bc.verifyWorkers = verifyWorkers;
+    });
+
+    // Resolves once the client has finished verifying the block.
+    function verified(client, block) {
+      return new Promise((resolve) => {
+        let check = () => client.verifyingBlocks.has(block.id) ? setTimeout(check, 10) : resolve();
+        check();
+      });
+    }
+
+    it("should accept the block once its signatures are verified.", () => {
+      let client = new Client({net: net, startingBlock: genesis});
+      client.log = function(){};
+      let b = mine(genesis, [t]);
+      assert.isNull(client.receiveBlock(b));
+      return verified(client, b).then(() => {
+        assert.equal(client.lastBlock.id, b.id);
+        assert.isTrue(client.sigCache.has(t));
+        return client.sigCache.close();
+      });
+    });
+
+    it("should log errors from receiving the block after verifying it.", () => {
+      let client = new Client({net: net, startingBlock: genesis});
+      let messages = [];
+      client.log = (msg) => messages.push(msg);
+      let b = mine(genesis, [t]);
+      assert.isNull(client.receiveBlock(b));
+      client.receiveBlock = () => { throw new Error("Oops"); };
+      return verified(client, b).then(() => {
+        assert.include(messages, `Could not receive block ${b.id}: Oops`);
+        return client.sigCache.close();
+      });
+    });
+  });
+
+  describe('#medianTimePast', () => {
+    it("should find the median timestamp of the most recent blocks.", () => {
+      let g = new Block("8e7912", undefined, EASY_POW_TARGET);
+      g.timestamp = 1000;
+      let b1 = new Block(addr, g, EASY_POW_TARGET);
+      b1.timestamp = 3000;
+      let b2 = new Block(addr, b1, EASY_POW_TARGET);
+      b2.timestamp = 2000;
+      let client = new Client({net: net, startingBlock: g});
+      client.blocks.set(b1.id, b1);
+      client.blocks.set(b2.id, b2);
+      assert.equal(client.medianTimePast(b2), 2000);
+    });
+  });
+
+  describe('#targetAfter', () => {
+    let bc = Blockchain.getInstance();
+    let g = new Block("8e7912", undefined, EASY_POW_TARGET);
+    let b1 = new Block(addr, g, EASY_POW_TARGET);
+    b1.timestamp = g.timestamp + 2000;
+    let client = new Client({net: net, startingBlock: g});
+    client.blocks.set(b1.id, b1);
+
+    let {retargetInterval, targetBlockTime} = bc;
+
+    before(() => {
+      bc.retargetInterval = 2;
+      bc.targetBlockTime = 1000;
+    });
+
+    after(() => {
+      bc.retargetInterval = retargetInterval;
+      bc.targetBlockTime = targetBlockTime;
+    });
+
+    it("should keep the previous target between retargets.", () => {
+      assert.equal(client.targetAfter(g), EASY_POW_TARGET);
+    });
+
+    it("should scale the target by how long the previous blocks took.", () => {
+      // Blocks took twice as long as desired, so the target doubles.
+      assert.equal(client.targetAfter(b1), EASY_POW_TARGET * BigInt(2));
+    });
+  });
+});
+
+describe('LightClient', () => {
+  let bc = Blockchain.getInstance();
+  let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
+  genesis.balances = new Map([ [addr, 500], [ffff, 100], [face, 99] ]);
+  let net = { broadcast: function(){} };
+
+  let outputs = [{amount: 20, address: ffff}, {amount: 40, address: face}];
+  let t = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: 0});
+  t.sign(kp.private);
+
+  let b = new Block(addr, genesis, EASY_POW_TARGET);
+  b.addTransaction(t);
+  findProof(b);
+
+  let {confirmedDepth} = bc;
+
+  before(() => {
+    // Confirming blocks immediately, to avoid needing to mine more blocks.
+    bc.confirmedDepth = 0;
+  });
+
+  after(() => {
+    bc.confirmedDepth = confirmedDepth;
+  });
+
+  describe('#receiveBlock', () => {
+    it("should store only the header of the block.", () => {
+      let light = new LightClient({net: net, startingBlock: genesis, keyPair: kp});
+      light.log = function(){};
+      light.receiveBlock(JSON.parse(b.serialize()));
+      let header = light.blocks.get(b.id);
+      assert.equal(light.lastBlock, header);
+      assert.isEmpty(header.transactions);
+      assert.equal(header.merkleRoot, b.merkleRoot);
+    });
+  });
+
+  describe('#receiveTxProof', () => {
+    it("should confirm a pending transaction with a proof from a full client.", () => {
+      let light = new LightClient({net: net, startingBlock: genesis, keyPair: kp});
+      light.log = function(){};
+      light.pendingOutgoingTransactions.set(t.id, t);
+      light.receiveBlock(b);
+
+      let fullNet = {
+        broadcast: function(){},
+        sendMessage: (address, msg, o) => light.emit(msg, JSON.parse(JSON.stringify(o))),
+      };
+      let full = new Client({net: fullNet, startingBlock: genesis});
+      full.log = function(){};
+      full.receiveBlock(b);
+      full.provideTxProof({from: light.address, txID: t.id});
+
+      assert.isFalse(light.pendingOutgoingTransactions.has(t.id));
+    });
+
+    it("should reject a proof that does not match the block header.", () => {
+      let light = new LightClient({net: net, startingBlock: genesis, keyPair: kp});
+      light.log = function(){};
+      light.pendingOutgoingTransactions.set(t.id, t);
+      light.receiveBlock(b);
+
+      light.receiveTxProof({txID: t.id, tx: t, blockID: b.id, proof: [{hash: utils.hash("x"), left: true}]});
+      assert.isTrue(light.pendingOutgoingTransactions.has(t.id));
+    });
+  });
+});
+
+describe('Miner', () => {
+  let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
+  genesis.balances = new Map([ [addr, 500], [addr2, 500] ]);
+  let net = { broadcast: function(){} };
+
+  function makeTx(keyPair, nonce, fee) {
+    let tx = new Transaction({
+      from: utils.calcAddress(keyPair.public),
+      pubKey: keyPair.public,
+      outputs: [{amount: 10, address: ffff}],
+      fee: fee,
+      nonce: nonce,
+    });
+    tx.sign(keyPair.private);
+    return tx;
+  }
+
+  describe('#fillBlock', () => {
+    let bc = Blockchain.getInstance();
+    let {maxBlockTransactions} = bc;
+
+    after(() => {
+      bc.maxBlockTransactions = maxBlockTransactions;
+    });
+
+    it("should prefer higher fee rates, while keeping each sender's nonce order.", () => {
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      let lowFee = makeTx(kp, 0, 1);
+      let highFee = makeTx(kp, 1, 10);
+      let midFee = makeTx(kp2, 0, 5);
+      [highFee, lowFee, midFee].forEach((tx) => miner.addTransaction(tx));
+
+      bc.maxBlockTransactions = 2;
+      miner.startNewSearch();
+
+      assert.deepEqual(Array.from(miner.currentBlock.transactions.keys()), [midFee.id, lowFee.id]);
+      assert.isTrue(miner.mempool.has(highFee.id));
+    });
+  });
+
+  describe('#addTransaction', () => {
+    it("should only admit valid transactions to the mempool.", () => {
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      let errors = [];
+      miner.on('invalidTransaction', (err) => errors.push(err.code));
+
+      let tx = makeTx(kp, 0, 1);
+      let unsigned = new Transaction({from: addr2, pubKey: kp2.public, outputs: [{amount: 10, address: ffff}], fee: 1, nonce: 0});
+
+      assert.isTrue(miner.addTransaction(tx));
+      assert.isFalse(miner.addTransaction(tx));
+      assert.isFalse(miner.addTransaction(unsigned));
+      assert.deepEqual(errors, [ValidationError.DUPLICATE, ValidationError.UNSIGNED]);
+      assert.equal(miner.mempool.size, 1);
+    });
+  });
+
+  describe('#syncTransactions', () => {
+    it("should remove included transactions, and re-admit those from abandoned blocks.", () => {
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      let tx1 = makeTx(kp, 0, 1);
+      let tx2 = makeTx(kp2, 0, 1);
+
+      let oldBlock = new Block(addr, genesis, EASY_POW_TARGET);
+      oldBlock.addTransaction(tx1);
+      let newBlock = new Block(addr2, genesis, EASY_POW_TARGET);
+      newBlock.addTransaction(tx2);
+      [oldBlock, newBlock].forEach((b) => miner.blocks.set(b.id, b));
+
+      miner.addTransaction(tx2);
+      miner.syncTransactions(oldBlock, newBlock);
+
+      assert.isTrue(miner.mempool.has(tx1.id));
+      assert.isFalse(miner.mempool.has(tx2.id));
+    });
+  });
+
+  describe('#providePendingStatus', () => {
+    it("should tell a client whether its transaction is pending.", () => {
+      let messages = [];
+      let net = { broadcast: function(){}, sendMessage: (address, msg, o) => messages.push([address, msg, o]) };
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      let tx = makeTx(kp, 0, 1);
+      miner.addTransaction(tx);
+
+      miner.providePendingStatus({from: addr, txID: tx.id});
+      assert.deepEqual(messages, [[addr, Blockchain.PENDING_STATUS, {txID: tx.id, pending: true, miner: miner.address}]]);
+    });
+  });
+
+  describe('#fillBlock future nonces', () => {
+    let bc = Blockchain.getInstance();
+    let {futureTxExpiry} = bc;
+
+    afterEach(() => {
+      bc.futureTxExpiry = futureTxExpiry;
+    });
+
+    it("should hold a transaction with a future nonce until the gap is filled.", () => {
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      let first = makeTx(kp, 0, 1);
+      let second = makeTx(kp, 1, 1);
+
+      miner.addTransaction(second);
+      miner.startNewSearch();
+      assert.isEmpty(miner.currentBlock.transactions);
+      assert.isTrue(miner.mempool.held.has(second.id));
+
+      miner.addTransaction(first);
+      miner.startNewSearch();
+      assert.deepEqual(Array.from(miner.currentBlock.transactions.keys()), [first.id, second.id]);
+      assert.isFalse(miner.mempool.held.has(second.id));
+    });
+
+    it("should drop a held transaction once it expires.", () => {
+      let miner = new Miner({name: "Minnie", net: net, startingBlock: genesis});
+      miner.log = function(){};
+      bc.futureTxExpiry = -1;
+
+      let future = makeTx(kp, 1, 1);
+      miner.addTransaction(future);
+      miner.startNewSearch();
+      assert.isTrue(miner.mempool.held.has(future.id));
+
+      miner.addTransaction(makeTx(kp, 0, 1));
+      miner.startNewSearch();
+      assert.equal(miner.currentBlock.transactions.size, 1);
+      assert.isFalse(miner.mempool.has(future.id));
+    });
+  });
+});
+
+describe('Mempool', () => {
+  let genesis = new Block("8e7912", undefined, EASY_POW_TARGET);
+  genesis.balances = new Map([ [addr, 500], [addr2, 500] ]);
+
+  function makeTx(keyPair, fee) {
+    let tx = new Transaction({
+      from: utils.calcAddress(keyPair.public),
+      pubKey: keyPair.public,
+      outputs: [{amount: 10, address: ffff}],
+      fee: fee,
+      nonce: 0,
+    });
+    tx.sign(keyPair.private);
+    return tx;
+  }
+
+  describe('#add', () => {
+    it("should reject transactions that overspend along with the sender's pending transactions.", () => {
+      let mempool = new Mempool();
+      let pay = (nonce, amount, fee) => {
+        let tx = new Transaction({from: addr, pubKey: kp.public, outputs: [{amount: amount, address: ffff}], fee: fee, nonce: nonce});
+        tx.sign(kp.private);
+        return tx;
+      };
+      let first = pay(0, 300, 1);
+      let second = pay(1, 300, 1);
+
+      assert.isNull(mempool.add(first, genesis));
+      let err = mempool.add(second, genesis);
+      assert.equal(err.code, ValidationError.INSUFFICIENT_FUNDS);
+      assert.deepEqual(err.details, { balance: 500, pending: 301, required: 301 });
+
+      // A replacement does not count the transaction that it replaces.
+      let replacement = pay(0, 300, 2);
+      assert.isNull(mempool.add(replacement, genesis));
+      assert.isFalse(mempool.has(first.id));
+
+      mempool.remove(replacement.id);
+      assert.isNull(mempool.add(second, genesis));
+    });
+
+    it("should evict the transaction with the lowest fee rate when full.", () => {
+      let mempool = new Mempool({maxSize: 1});
+      let lowFee = makeTx(kp, 1);
+      let highFee = makeTx(kp2, 5);
+
+      assert.isNull(mempool.add(lowFee, genesis));
+      assert.isNull(mempool.add(highFee, genesis));
+      assert.isFalse(mempool.has(lowFee.id));
+      assert.isTrue(mempool.has(highFee.id));
+
+      let err = mempool.add(lowFee, genesis);
+      assert.equal(err.code, ValidationError.MEMPOOL_FULL);
+      assert.equal(mempool.size, 1);
+    });
+
+    it("should not evict transactions that were already removed.", () => {
+      let mempool = new Mempool({maxSize: 2});
+      let lowFee = makeTx(kp, 1);
+      let midFee = makeTx(kp2, 3);
+      assert.isNull(mempool.add(lowFee, genesis));
+      assert.isNull(mempool.add(midFee, genesis));
+
+      // A replacement removes the lowest fee transaction.
+      let replacement = makeTx(kp, 4);
+      assert.isNull(mempool.add(replacement, genesis));
+      assert.equal(mempool.lowestFeeRate(), midFee);
+
+      let highFee = new Transaction({from: addr2, pubKey: kp2.public, outputs: [{amount: 10, address: ffff}], fee: 5, nonce: 1});
+      highFee.sign(kp2.private);
+      assert.isNull(mempool.add(highFee, genesis));
+      assert.isFalse(mempool.has(midFee.id));
+      assert.isTrue(mempool.has(replacement.id));
+    });
+
+    it("should replace a transaction with the same sender and nonce only for a higher fee.", () => {
+      let mempool = new Mempool();
+      let original = makeTx(kp, 1);
+      let sameFee = makeTx(kp, 1);
+      sameFee.outputs = [{amount: 11, address: ffff}];
+      sameFee.sign(kp.private);
+      let higherFee = makeTx(kp, 2);
+
+      assert.isNull(mempool.add(original, genesis));
+      assert.equal(mempool.add(sameFee, genesis).code, ValidationError.REPLACEMENT_FEE_TOO_LOW);
+      assert.isNull(mempool.add(higherFee, genesis));
+      assert.isFalse(mempool.has(original.id));
+      assert.isTrue(mempool.has(higherFee.id));
+      assert.equal(mempool.size, 1);
+    });
+
+    it("should keep transactions that are not yet valid, and drop expired transactions.", () => {
+      let mempool = new Mempool();
+      let early = makeTx(kp, 1);
+      early.validAfter = 5;
+      early.sign(kp.private);
+      let expiring = makeTx(kp2, 1);
+      expiring.expiresAt = 1;
+      expiring.sign(kp2.private);
+
+      assert.isNull(mempool.add(early, genesis));
+      assert.isNull(mempool.add(expiring, genesis));
+
+      let b = new Block(addr, genesis, EASY_POW_TARGET);
+      let b2 = new Block(addr, b, EASY_POW_TARGET);
+      mempool.fillBlock(b2);
+      assert.isEmpty(b2.transactions);
+      assert.isTrue(mempool.has(early.id));
+      assert.isFalse(mempool.has(expiring.id));
+    });
+
+    it("should reject transactions that will not be valid for a long time.", () => {
+      let mempool = new Mempool();
+      let farHeight = makeTx(kp, 1);
+      farHeight.validAfter = Blockchain.MAX_LOCK_BLOCKS + 1;
+      farHeight.sign(kp.private);
+      let farTime = makeTx(kp2, 1);
+      farTime.validAfter = genesis.timestamp + Blockchain.MAX_LOCK_TIME + 1;
+      farTime.sign(kp2.private);
+
+      assert.equal(mempool.add(farHeight, genesis).code, ValidationError.LOCK_TIME_TOO_FAR);
+      assert.equal(mempool.add(farTime, genesis).code, ValidationError.LOCK_TIME_TOO_FAR);
+      assert.equal(mempool.size, 0);
+    });
+
+    it("should reject transactions that the sender cannot afford.", () => {
+      let mempool = new Mempool();
+      let tx = makeTx(kp, 1000);
+      assert.equal(mempool.add(tx, genesis).code, ValidationError.INSUFFICIENT_FUNDS);
+      assert.equal(mempool.size, 0);
+    });
+  });
+});
+
+describe('SignatureCache', () => {
+  let outputs = [{amount: 20, address: ffff}];
+  function signedTx(nonce) {
+    let tx = new Transaction({from: addr, pubKey: kp.public, outputs: outputs, fee: 1, nonce: nonce});
+    tx.sign(kp.private);
+    return tx;
+  }
+  let tx0 = signedTx(0);
+  let tx1 = signedTx(1);
+  let tx2 = signedTx(2);
+  let forged = new Transaction(Object.assign({}, tx1, {sig: tx0.sig}));
+
+  describe('#verify', () => {
+    it("should cache only valid signatures, evicting the least recently used.", () => {
+      let cache = new SignatureCache({maxSize: 2});
+      assert.isTrue(cache.verify(tx0));
+      assert.isFalse(cache.verify(forged));
+      assert.equal(cache.size, 1);
+
+      assert.isTrue(cache.verify(tx1));
+      assert.isTrue(cache.has(tx0));
+      assert.isTrue(cache.verify(tx2));
+      assert.equal(cache.size, 2);
+      assert.isTrue(cache.has(tx0));
+      assert.isFalse(cache.has(tx1));
+    });
+
+    it("should let blocks skip verifying cached signatures.", () => {
+      let prevBlock = new Block("8e7912");
+      prevBlock.balances = new Map([ [addr, 500] ]);
+      let client = { sigCache: new SignatureCache(), log: function(){} };
+      let tx = signedTx(0);
+      client.sigCache.add(tx);
+      tx.validSignature = () => { throw new Error("Signature verified again."); };
+      assert.isTrue(new Block(addr, prevBlock).addTransaction(tx, client));
+    });
+  });
+
+  describe('#verifyBatch', () => {
+    it("should return the transactions with invalid signatures.", () => {
+      let cache = new SignatureCache();
+      assert.deepEqual(cache.verifyBatch([tx0, forged, tx2]), [forged]);
+      assert.equal(cache.size, 2);
+    });
+  });
+
+  describe('#verifyBatchInWorkers', () => {
+    it("should verify signatures in worker threads and cache the valid ones.", () => {
+      let cache = new SignatureCache();
+      cache.add(tx0);
+      return cache.verifyBatchInWorkers([tx0, tx1, forged, tx2], 2).then((invalid) => {
+        assert.deepEqual(invalid, [forged]);
+        assert.isTrue(cache.has(tx1));
+        assert.isTrue(cache.has(tx2));
+        assert.isFalse(cache.has(forged));
+      });
+    });
+
+    it("should reuse the same worker threads for later batches.", () => {
+      let cache = new SignatureCache();
+      let workers;
+      return cache.verifyBatchInWorkers([tx0, tx1], 2).then(() => {
+        workers = cache.pool.workers;
+        assert.equal(workers.length, 2);
+        return cache.verifyBatchInWorkers([tx2, forged], 2);
+      }).then((invalid) => {
+        assert.deepEqual(invalid, [forged]);
+        assert.deepEqual(cache.pool.workers, workers);
+        return cache.close();
+      }).then(() => {
+        assert.isNull(cache.pool);
+      });
+    });
+
+    it("should check registered signature schemes on the calling thread.", () => {
+      // A toy scheme, where the public and private keys are the same.
+      utils.registerSigScheme('test-hash', {
+        generateKeypair() { return { public: "k", private: "k" }; },
+        sign(privKey, str) { return utils.hash(privKey + str); },
+        verify(pubKey, str, sig) { return sig === utils.hash(pubKey + str); },
+      });
+      let tx = new Transaction({from: utils.calcAddress("k"), pubKey: "k", outputs: outputs, fee: 1, nonce: 0, sigAlg: 'test-hash'});
+      tx.sign("k");
+      let bad = new Transaction(Object.assign({}, tx, {sig: tx0.sig}));
+
+      let cache = new SignatureCache();
+      return cache.verifyBatchInWorkers([tx, bad], 2).then((invalid) => {
+        assert.deepEqual(invalid, [bad]);
+        assert.isTrue(cache.has(tx));
+        assert.isNull(cache.pool);
+      });
+    });
   });
 });
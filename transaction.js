@@ -1,10 +1,30 @@
 "use strict";
 
+const Blockchain = require('./blockchain.js');
+const ValidationError = require('./validation-error.js');
+
 const utils = require('./utils.js');
 
 // String constants mixed in before hashing.
 const TX_CONST = "TX";
 
+/**
+ * Determines whether a block comes after a lock time, which is either
+ * a block height or a timestamp.  Clients check each block's height
+ * against the previous block, so miners cannot misreport it.
+ * 
+ * @param {number} lockTime - The block height or timestamp.
+ * @param {Block} block - The block to check.
+ * 
+ * @returns {boolean} - True if the block is after the lock time.
+ */
+function lockTimePassed(lockTime, block) {
+  if (lockTime < Blockchain.LOCK_TIME_THRESHOLD) {
+    return block.chainLength > lockTime;
+  }
+  return block.timestamp > lockTime;
+}
+
 /**
  * A transaction comes from a single account, specified by "address". For
  * each account, transactions have an order established by the nonce. A
@@ -28,59 +48,211 @@ module.exports = class Transaction {
    *          transactions, this should be the block height.
    * @param obj.pubKey - Public key associated with the specified from address.
    * @param obj.sig - Signature of the transaction.  This field may be omitted.
+   * @param [obj.sigAlg] - The signature algorithm of the keys and signatures.
+   *          Defaults to the blockchain's algorithm.  (See utils.SIG_SCHEMES.)
+   * @param {Array} [obj.pubKeys] - For multi-signature accounts, the public keys of
+   *          the signers.  In this case, pubKey and sig are not used.
+   * @param [obj.threshold] - For multi-signature accounts, the number of signatures needed.
+   * @param {Array} [obj.sigs] - For multi-signature accounts, the signatures collected
+   *          so far, in the same order as pubKeys.  Missing signatures are null.
    * @param {Array} [obj.outputs] - An array of the outputs.
    * @param [obj.fee] - The amount of gold offered as a transaction fee.
    * @param [obj.data] - Object with any additional properties desired for the transaction.
+   * @param [obj.chainId] - The blockchain that the transaction is meant for, so that it
+   *          cannot be replayed on a different blockchain.  Defaults to the current blockchain.
+   * @param [obj.validAfter] - The transaction may only be included in blocks after this
+   *          block height or timestamp.  (See Blockchain.LOCK_TIME_THRESHOLD.)
+   * @param [obj.expiresAt] - The transaction may not be included in blocks after this
+   *          block height or timestamp.
    */
-  constructor({from, nonce, pubKey, sig, outputs, fee=0, data={}}) {
+  constructor({from, nonce, pubKey, sig, pubKeys, threshold, sigs, outputs, fee=0, data={},
+      validAfter, expiresAt, chainId=Blockchain.hasInstance() ? Blockchain.CHAIN_ID : undefined,
+      sigAlg=Blockchain.hasInstance() ? Blockchain.SIG_ALG : undefined}) {
+    this.chainId = chainId;
     this.from = from;
     this.nonce = nonce;
     this.pubKey = pubKey;
     this.sig = sig;
+    this.sigAlg = sigAlg;
+    // Keys and signatures that are not arrays are ignored, as with outputs.
+    if (Array.isArray(pubKeys)) {
+      this.pubKeys = pubKeys;
+      this.threshold = threshold;
+      this.sigs = Array.isArray(sigs) ? [...sigs] : pubKeys.map(() => null);
+    }
     this.fee = fee;
     this.outputs = [];
-    if (outputs) outputs.forEach(({amount, address}) => {
-      if (typeof amount !== 'number') {
+    if (Array.isArray(outputs)) outputs.forEach((output) => {
+      let {amount, address} = output || {};
+      // Amounts given as strings of digits are converted.  Anything else
+      // is kept as is, so that validateFormat rejects it.
+      if (typeof amount === 'string' && /^[0-9]+$/.test(amount)) {
         amount = parseInt(amount, 10);
       }
       this.outputs.push({amount, address});
     });
     this.data = data;
+    this.validAfter = validAfter;
+    this.expiresAt = expiresAt;
   }
 
   /**
    * A transaction's ID is derived from its contents.
    */
   get id() {
-    return utils.hash(TX_CONST + JSON.stringify({
+    return utils.hash(TX_CONST + utils.encode({
+      chainId: this.chainId,
       from: this.from,
       nonce: this.nonce,
       pubKey: this.pubKey,
+      pubKeys: this.pubKeys,
+      threshold: this.threshold,
+      sigAlg: this.sigAlg,
       outputs: this.outputs,
       fee: this.fee,
-      data: this.data }));
+      data: this.data,
+      validAfter: this.validAfter,
+      expiresAt: this.expiresAt }));
+  }
+
+  /**
+   * Determines whether the transaction is from a multi-signature account.
+   * 
+   * @returns {Boolean} - True if the transaction needs multiple signatures.
+   */
+  isMultisig() {
+    return this.pubKeys !== undefined;
   }
 
   /**
    * Signs a transaction and stores the signature in the transaction.
+   * For a multi-signature transaction, the signature is added to the
+   * signatures collected from the other signers.
    * 
    * @param privKey  - The key used to sign the signature.  It should match the
    *    public key included in the transaction.
+   * @param [pubKey] - For multi-signature transactions, the signer's public key,
+   *    which must be one of the keys in pubKeys.
    */
-  sign(privKey) {
-    this.sig = utils.sign(privKey, this.id);
+  sign(privKey, pubKey) {
+    if (!this.isMultisig()) {
+      this.sig = utils.sign(privKey, this.id, this.sigAlg);
+      return;
+    }
+
+    let i = this.pubKeys.indexOf(pubKey);
+    if (i === -1) {
+      throw new Error(`The public key is not one of the signers for ${this.from}.`);
+    }
+    this.sigs[i] = utils.sign(privKey, this.id, this.sigAlg);
+  }
+
+  /**
+   * Determines whether the transaction has any signatures, without checking them.
+   * 
+   * @returns {Boolean} - True if at least one signature is present.
+   */
+  isSigned() {
+    return this.isMultisig() ? this.sigs.some((sig) => !!sig) : this.sig !== undefined;
   }
 
   /**
    * Determines whether the signature of the transaction is valid
-   * and if the from address matches the public key.
+   * and if the from address matches the public key.  For multi-signature
+   * transactions, there must be enough valid signatures, and the from address
+   * must match the public keys and threshold.
    * 
    * @returns {Boolean} - Validity of the signature and from address.
    */
   validSignature() {
+    if (this.isMultisig()) {
+      return this.from === utils.calcMultisigAddress(this.pubKeys, this.threshold) &&
+          this.validSignatureCount() >= this.threshold;
+    }
+
     return this.sig !== undefined &&
         utils.addressMatchesKey(this.from, this.pubKey) &&
-        utils.verifySignature(this.pubKey, this.id, this.sig);
+        utils.verifySignature(this.pubKey, this.id, this.sig, this.sigAlg);
+  }
+
+  /**
+   * Counts the valid signatures of a multi-signature transaction.
+   * 
+   * @returns {Number} - The number of valid signatures.
+   */
+  validSignatureCount() {
+    let id = this.id;
+    return this.pubKeys.filter((pubKey, i) =>
+      !!this.sigs[i] && utils.verifySignature(pubKey, id, this.sigs[i], this.sigAlg)).length;
+  }
+
+  /**
+   * Checks that the transaction is well-formed, without regard to the state
+   * of the blockchain.  The sender and output addresses must be valid
+   * addresses; the nonce, fee, and output amounts must be non-negative
+   * integers; there must be at least one output, but no more than
+   * MAX_TX_OUTPUTS; and the total paid out may not exceed MAX_AMOUNT.
+   * The validAfter and expiresAt lock times, if present, must also be
+   * non-negative integers.
+   * A multi-signature transaction must list at least one public key, with
+   * a threshold between 1 and the number of keys, and one signature slot
+   * for each key.
+   * 
+   * @returns {ValidationError | null} - The rule that the transaction breaks,
+   *    or null if it is well-formed.
+   */
+  validateFormat() {
+    let reject = (rule, message, details) => new ValidationError({
+      code: ValidationError.MALFORMED_TRANSACTION,
+      message: `Malformed transaction ${this.id}: ${message}`,
+      txID: this.id,
+      details: Object.assign({ rule: rule }, details),
+    });
+    let isAmount = (n) => Number.isSafeInteger(n) && n >= 0;
+
+    if (!utils.isValidAddress(this.from)) {
+      return reject('from', `invalid sender address.`, { from: this.from });
+    } else if (!isAmount(this.nonce)) {
+      return reject('nonce', `nonce must be a non-negative integer.`, { nonce: this.nonce });
+    } else if (!isAmount(this.fee)) {
+      return reject('fee', `fee must be a non-negative integer.`, { fee: this.fee });
+    } else if (this.validAfter !== undefined && !isAmount(this.validAfter)) {
+      return reject('validAfter', `validAfter must be a non-negative integer.`, { validAfter: this.validAfter });
+    } else if (this.expiresAt !== undefined && !isAmount(this.expiresAt)) {
+      return reject('expiresAt', `expiresAt must be a non-negative integer.`, { expiresAt: this.expiresAt });
+    } else if (this.outputs.length === 0) {
+      return reject('outputs', `no outputs.`, { outputs: 0 });
+    } else if (this.outputs.length > Blockchain.MAX_TX_OUTPUTS) {
+      return reject('outputs', `more than ${Blockchain.MAX_TX_OUTPUTS} outputs.`, { outputs: this.outputs.length });
+    }
+
+    if (this.isMultisig()) {
+      let n = this.pubKeys.length;
+      if (n === 0 || !this.pubKeys.every((pubKey) => typeof pubKey === 'string')) {
+        return reject('pubKeys', `pubKeys must be a non-empty array of public keys.`, { pubKeys: n });
+      } else if (!Number.isInteger(this.threshold) || this.threshold < 1 || this.threshold > n) {
+        return reject('threshold', `threshold must be an integer from 1 to ${n}.`, { threshold: this.threshold });
+      } else if (!Array.isArray(this.sigs) || this.sigs.length !== n) {
+        return reject('sigs', `sigs must have one entry for each public key.`, { sigs: Array.isArray(this.sigs) ? this.sigs.length : this.sigs });
+      }
+    }
+
+    for (let i = 0; i < this.outputs.length; i++) {
+      let {amount, address} = this.outputs[i];
+      if (!isAmount(amount)) {
+        return reject('amount', `output ${i} must pay a non-negative integer amount.`, { index: i, amount: amount });
+      } else if (!utils.isValidAddress(address)) {
+        return reject('address', `output ${i} has an invalid address.`, { index: i, address: address });
+      }
+    }
+
+    // Each amount is safe, but the total might not be.
+    let total = this.totalOutput();
+    if (total > Blockchain.MAX_AMOUNT) {
+      return reject('overflow', `total output exceeds ${Blockchain.MAX_AMOUNT}.`, { total: total });
+    }
+
+    return null;
   }
 
   /**
@@ -95,6 +267,49 @@ module.exports = class Transaction {
     return this.totalOutput() <= block.balances.get(this.from);
   }
 
+  /**
+   * Determines whether a block is too early to include the transaction,
+   * according to the transaction's validAfter field.
+   * 
+   * @param {Block} block - The block that might include the transaction.
+   * 
+   * @returns {boolean} - True if the transaction is not yet valid.
+   */
+  notYetValid(block) {
+    return this.validAfter !== undefined && !lockTimePassed(this.validAfter, block);
+  }
+
+  /**
+   * Determines whether a block is too late to include the transaction,
+   * according to the transaction's expiresAt field.
+   * 
+   * @param {Block} block - The block that might include the transaction.
+   * 
+   * @returns {boolean} - True if the transaction has expired.
+   */
+  expired(block) {
+    return this.expiresAt !== undefined && lockTimePassed(this.expiresAt, block);
+  }
+
+  /**
+   * The size of the transaction in bytes, once serialized.
+   * 
+   * @returns {Number} - The size of the transaction.
+   */
+  size() {
+    return Buffer.byteLength(utils.encode(this));
+  }
+
+  /**
+   * The fee offered per byte of the transaction.  Since blocks are limited
+   * in size, miners prefer transactions with higher fee rates.
+   * 
+   * @returns {Number} - The fee rate of the transaction.
+   */
+  feeRate() {
+    return this.fee / this.size();
+  }
+
   /**
    * Calculates the total value of all outputs, including the transaction fee.
    * 
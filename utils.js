@@ -8,63 +8,266 @@ const { pki, random } = require('node-forge');
 
 // CRYPTO settings
 const HASH_ALG = 'sha256';
+// Signature algorithm used when none is specified.  (See SIG_SCHEMES.)
 const SIG_ALG = 'RSA-SHA256';
 
+/**
+ * Converts a value to its canonical string form, so that the same data
+ * always produces the same string (and therefore the same hash), no matter
+ * the order in which an object's properties were added.
+ *
+ * The canonical form is JSON with no whitespace and with every object's keys
+ * sorted.  As with JSON.stringify, toJSON methods are used when available,
+ * and undefined properties are omitted.
+ *
+ * @param {*} value - The value to encode.
+ *
+ * @returns {String} - The canonical encoding of the value.
+ */
+exports.encode = function(value) {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  if (Array.isArray(value)) {
+    let elements = value.map((v) => {
+      let s = exports.encode(v);
+      return s === undefined ? 'null' : s;
+    });
+    return `[${elements.join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    let members = [];
+    for (let key of Object.keys(value).sort()) {
+      let s = exports.encode(value[key]);
+      if (s !== undefined) members.push(`${JSON.stringify(key)}:${s}`);
+    }
+    return `{${members.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Converts a string produced by encode back into a value.
+ *
+ * @param {String} s - The canonical encoding of a value.
+ *
+ * @returns {*} - The decoded value.
+ */
+exports.decode = function(s) {
+  return JSON.parse(s);
+};
+
 exports.hash = function hash(s, encoding) {
   encoding = encoding || 'hex';
   return crypto.createHash(HASH_ALG).update(s).digest(encoding);
 };
 
+// DER encodings that wrap a 32-byte private key, so that keys can be
+// derived deterministically from a seed.
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const SECP256K1_SEC1_PREFIX = Buffer.from('302e0201010420', 'hex');
+const SECP256K1_SEC1_SUFFIX = Buffer.from('a00706052b8104000a', 'hex');
+
+/**
+ * Converts a private key object into a keypair of strings.  Keys are stored
+ * as base64-encoded DER, which is much more compact than PEM.
+ *
+ * @param {KeyObject} privateKey - The private key.
+ *
+ * @returns {Object} - The public and private keys.
+ */
+function derKeypair(privateKey) {
+  return {
+    public: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64'),
+    private: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64'),
+  };
+}
+
+function derPrivateKey(privKey) {
+  return crypto.createPrivateKey({ key: Buffer.from(privKey, 'base64'), format: 'der', type: 'pkcs8' });
+}
+
+function derPublicKey(pubKey) {
+  return crypto.createPublicKey({ key: Buffer.from(pubKey, 'base64'), format: 'der', type: 'spki' });
+}
+
+/**
+ * The supported signature schemes, by name.  Each scheme provides:
+ *
+ * - generateKeypair() - creates a random keypair.
+ * - keypairFromSeed(seed) - creates a keypair from a BIP39 seed (a 64-byte Buffer).
+ * - sign(privKey, str) - signs a string, returning a hex signature.
+ * - verify(pubKey, str, sig) - checks a hex signature of a string.
+ *
+ * Keys are strings, so that they can be stored in JSON configuration files.
+ * Additional schemes can be added with registerSigScheme.
+ */
+const SIG_SCHEMES = {
+  'RSA-SHA256': {
+    generateKeypair() {
+      const kp = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 512,
+          publicKeyEncoding: {
+            type: 'spki',
+            format: 'pem'
+          },
+          privateKeyEncoding: {
+            type: 'pkcs8',
+            format: 'pem'
+          }
+      });
+      return {
+        public: kp.publicKey,
+        private: kp.privateKey,
+      };
+    },
+    //https://stackoverflow.com/questions/72047474/how-to-generate-safe-rsa-keys-deterministically-using-a-seed
+    keypairFromSeed(seed) {
+      const prng = random.createInstance();
+      prng.seedFileSync = () => seed.toString('hex');
+      const { privateKey, publicKey } = pki.rsa.generateKeyPair({ bits: 512, prng, workers: 2 });
+      return {
+          public: pki.publicKeyToPem(publicKey),
+          private: pki.privateKeyToPem(privateKey),
+      };
+    },
+    sign(privKey, str) {
+      return crypto.createSign('RSA-SHA256').update(str).sign(privKey, 'hex');
+    },
+    verify(pubKey, str, sig) {
+      return crypto.createVerify('RSA-SHA256').update(str).verify(pubKey, sig, 'hex');
+    },
+  },
+
+  'ed25519': {
+    generateKeypair() {
+      return derKeypair(crypto.generateKeyPairSync('ed25519').privateKey);
+    },
+    keypairFromSeed(seed) {
+      let der = Buffer.concat([ED25519_PKCS8_PREFIX, seed.subarray(0, 32)]);
+      return derKeypair(crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' }));
+    },
+    sign(privKey, str) {
+      return crypto.sign(null, Buffer.from(str), derPrivateKey(privKey)).toString('hex');
+    },
+    verify(pubKey, str, sig) {
+      return crypto.verify(null, Buffer.from(str), derPublicKey(pubKey), Buffer.from(sig, 'hex'));
+    },
+  },
+
+  'secp256k1': {
+    generateKeypair() {
+      return derKeypair(crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' }).privateKey);
+    },
+    keypairFromSeed(seed) {
+      let der = Buffer.concat([SECP256K1_SEC1_PREFIX, seed.subarray(0, 32), SECP256K1_SEC1_SUFFIX]);
+      return derKeypair(crypto.createPrivateKey({ key: der, format: 'der', type: 'sec1' }));
+    },
+    sign(privKey, str) {
+      return crypto.sign(HASH_ALG, Buffer.from(str), derPrivateKey(privKey)).toString('hex');
+    },
+    verify(pubKey, str, sig) {
+      return crypto.verify(HASH_ALG, Buffer.from(str), derPublicKey(pubKey), Buffer.from(sig, 'hex'));
+    },
+  },
+};
+
+// The schemes that are built in, rather than added with registerSigScheme.
+// Only these schemes are available in worker threads, since each worker
+// loads its own copy of this module.
+const BUILTIN_SIG_ALGS = new Set(Object.keys(SIG_SCHEMES));
+
+/**
+ * Looks up a signature scheme, throwing an error if it is not supported.
+ *
+ * @param {String} [sigAlg] - The name of the scheme.  Defaults to RSA-SHA256.
+ *
+ * @returns {Object} - The signature scheme.
+ */
+function sigScheme(sigAlg=SIG_ALG) {
+  let scheme = SIG_SCHEMES[sigAlg];
+  if (!scheme) throw new Error(`Unsupported signature algorithm ${sigAlg}.`);
+  return scheme;
+}
+
+/**
+ * Adds a signature scheme, or replaces an existing one.
+ *
+ * Registered schemes exist only in the thread that registers them, so
+ * signatures that use them are never checked in worker threads.
+ *
+ * @param {String} sigAlg - The name of the scheme, used to tag transactions.
+ * @param {Object} scheme - The implementation, with the methods listed for SIG_SCHEMES.
+ */
+exports.registerSigScheme = function(sigAlg, scheme) {
+  SIG_SCHEMES[sigAlg] = scheme;
+  BUILTIN_SIG_ALGS.delete(sigAlg);
+};
+
+/**
+ * @param {String} [sigAlg] - The name of a signature scheme.  Defaults to RSA-SHA256.
+ *
+ * @returns {Boolean} - True if the scheme is built in and has not been
+ *    replaced, so that worker threads can check its signatures.
+ */
+exports.isBuiltinSigAlg = function(sigAlg=SIG_ALG) {
+  return BUILTIN_SIG_ALGS.has(sigAlg);
+};
+
+/**
+ * @param {String} sigAlg - The name of a signature scheme.
+ *
+ * @returns {Boolean} - True if the scheme is supported.
+ */
+exports.isSupportedSigAlg = function(sigAlg) {
+  return Object.prototype.hasOwnProperty.call(SIG_SCHEMES, sigAlg);
+};
+
 /**
  * Generates keypair from mnemonic and password
  * 
  * @param {String} mnemonic - associated with the blockchain instance
  * @param {String} password - unique to each user
- * @returns 
- */
-//https://stackoverflow.com/questions/72047474/how-to-generate-safe-rsa-keys-deterministically-using-a-seed
-exports.generateKeypairFromMnemonic = function( mnemonic, password ) {
-  const seed = mnemonicToSeedSync(mnemonic, password).toString('hex');
-  const prng = random.createInstance();
-  prng.seedFileSync = () => seed;
-  const { privateKey, publicKey } = pki.rsa.generateKeyPair({ bits: 512, prng, workers: 2 });
-  return {
-      public: pki.publicKeyToPem(publicKey),
-      private: pki.privateKeyToPem(privateKey),
-  };
+ * @param {String} [sigAlg] - signature algorithm of the keys; defaults to RSA-SHA256
+ * @returns {Object} - the public and private keys, along with the sigAlg
+ */
+exports.generateKeypairFromMnemonic = function( mnemonic, password, sigAlg=SIG_ALG ) {
+  const seed = mnemonicToSeedSync(mnemonic, password);
+  return Object.assign(sigScheme(sigAlg).keypairFromSeed(seed), { sigAlg });
 };
 
-
-exports.generateKeypair = function() {
-  const kp = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 512,
-      publicKeyEncoding: {
-        type: 'spki',
-        format: 'pem'
-      },
-      privateKeyEncoding: {
-        type: 'pkcs8',
-        format: 'pem'
-      }
-  });
-  return {
-    public: kp.publicKey,
-    private: kp.privateKey,
-  };
+/**
+ * Generates a random keypair.
+ *
+ * @param {String} [sigAlg] - signature algorithm of the keys; defaults to RSA-SHA256
+ * @returns {Object} - the public and private keys, along with the sigAlg
+ */
+exports.generateKeypair = function(sigAlg=SIG_ALG) {
+  return Object.assign(sigScheme(sigAlg).generateKeypair(), { sigAlg });
 };
 
-exports.sign = function(privKey, msg) {
-  let signer = crypto.createSign(SIG_ALG);
-  // Convert an object to its JSON representation
-  let str = (msg === Object(msg)) ? JSON.stringify(msg) : ""+msg;
-  return signer.update(str).sign(privKey, 'hex');
+exports.sign = function(privKey, msg, sigAlg) {
+  // Convert an object to its canonical representation
+  let str = (msg === Object(msg)) ? exports.encode(msg) : ""+msg;
+  return sigScheme(sigAlg).sign(privKey, str);
 };
 
-exports.verifySignature = function(pubKey, msg, sig) {
-  let verifier = crypto.createVerify(SIG_ALG);
-  // Convert an object to its JSON representation
-  let str = (msg === Object(msg)) ? JSON.stringify(msg) : ""+msg;
-  return verifier.update(str).verify(pubKey, sig, 'hex');
+/**
+ * Checks a signature.  Unsupported algorithms and malformed keys or
+ * signatures make the signature invalid, rather than raising errors.
+ */
+exports.verifySignature = function(pubKey, msg, sig, sigAlg=SIG_ALG) {
+  if (!exports.isSupportedSigAlg(sigAlg)) return false;
+  // Convert an object to its canonical representation
+  let str = (msg === Object(msg)) ? exports.encode(msg) : ""+msg;
+  try {
+    return SIG_SCHEMES[sigAlg].verify(pubKey, str, sig);
+  } catch (e) {
+    return false;
+  }
 };
 
 exports.calcAddress = function(key) {
@@ -73,6 +276,183 @@ exports.calcAddress = function(key) {
   return addr;
 };
 
+/**
+ * Checks that an address is a base64 string of the length produced by
+ * calcAddress.  Gold sent to any other string could never be spent.
+ *
+ * @param {*} addr - The address to check.
+ *
+ * @returns {Boolean} - True if the address is well-formed.
+ */
+exports.isValidAddress = function(addr) {
+  return typeof addr === 'string' &&
+      addr.length === exports.calcAddress("").length &&
+      /^[A-Za-z0-9+/]+={0,2}$/.test(addr);
+};
+
 exports.addressMatchesKey = function(addr, pubKey) {
   return addr === exports.calcAddress(pubKey);
 };
+
+/**
+ * Calculates the address of a multi-signature account, which can only spend
+ * gold with signatures from at least 'threshold' of the specified public keys.
+ * The order of the keys does not matter.
+ *
+ * @param {Array} pubKeys - The public keys of the signers.
+ * @param {number} threshold - The number of signatures required.
+ *
+ * @returns {String} - The address of the account.
+ */
+exports.calcMultisigAddress = function(pubKeys, threshold) {
+  return exports.calcAddress(exports.encode({
+    pubKeys: [...pubKeys].sort(),
+    threshold: threshold,
+  }));
+};
+
+// Tags mixed in before hashing the nodes of a Merkle tree.  Leaves and inner
+// nodes are tagged differently, so that an inner node cannot be passed off
+// as a leaf in a proof.
+const MERKLE_LEAF_TAG = "\x00";
+const MERKLE_NODE_TAG = "\x01";
+
+/**
+ * @param {String} leaf - A hash included in a Merkle tree.
+ *
+ * @returns {String} - The node for the leaf in the bottom level of the tree.
+ */
+function merkleLeaf(leaf) {
+  return exports.hash(MERKLE_LEAF_TAG + leaf);
+}
+
+/**
+ * @param {String} left - The left child of an inner node.
+ * @param {String} right - The right child of an inner node.
+ *
+ * @returns {String} - The inner node.
+ */
+function merkleNode(left, right) {
+  return exports.hash(MERKLE_NODE_TAG + left + right);
+}
+
+/**
+ * Combines each pair of hashes in one level of a Merkle tree into their parent
+ * hash.  If the level has an odd number of hashes, the last one is promoted to
+ * the next level unchanged.
+ *
+ * @param {Array} nodes - The hashes in one level of the tree.
+ *
+ * @returns {Array} - The hashes in the level above.
+ */
+function merkleParents(nodes) {
+  let parents = [];
+  for (let i = 0; i < nodes.length; i += 2) {
+    if (i + 1 < nodes.length) {
+      parents.push(merkleNode(nodes[i], nodes[i+1]));
+    } else {
+      parents.push(nodes[i]);
+    }
+  }
+  return parents;
+}
+
+/**
+ * Calculates the root of a Merkle tree built from the specified leaves.
+ *
+ * @param {Array} leaves - The hashes to include in the tree, in order.
+ *
+ * @returns {String} - The Merkle root.
+ */
+exports.merkleRoot = function(leaves) {
+  if (leaves.length === 0) return exports.hash("");
+  let nodes = leaves.map(merkleLeaf);
+  while (nodes.length > 1) {
+    nodes = merkleParents(nodes);
+  }
+  return nodes[0];
+};
+
+/**
+ * Builds every level of a Merkle tree, from the leaves up to the root.
+ * The root is the same as the one calculated by merkleRoot.
+ *
+ * @param {Array} leaves - The hashes to include in the tree, in order.
+ *
+ * @returns {Array} - The levels of the tree.  The first level is the leaves,
+ *    the second level is their tagged hashes, and the last level holds only
+ *    the root (or nothing, if there are no leaves).
+ */
+exports.merkleLevels = function(leaves) {
+  let levels = [leaves, leaves.map(merkleLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    levels.push(merkleParents(levels[levels.length - 1]));
+  }
+  return levels;
+};
+
+/**
+ * Updates the levels of a Merkle tree after some of its leaves have changed,
+ * rehashing only the nodes on the paths from those leaves to the root.  The
+ * number of leaves must not change.  The levels are updated in place.
+ *
+ * @param {Array} levels - The levels produced by merkleLevels, with the new
+ *    leaves already stored in the first level.
+ * @param {Iterable} indexes - The positions of the changed leaves.
+ */
+exports.updateMerkleLevels = function(levels, indexes) {
+  let changed = new Set(indexes);
+  changed.forEach((i) => levels[1][i] = merkleLeaf(levels[0][i]));
+  for (let l = 1; l < levels.length - 1; l++) {
+    let nodes = levels[l];
+    let parents = new Set([...changed].map((i) => Math.floor(i / 2)));
+    parents.forEach((p) => {
+      levels[l+1][p] = 2*p + 1 < nodes.length ?
+          merkleNode(nodes[2*p], nodes[2*p + 1]) :
+          nodes[2*p];
+    });
+    changed = parents;
+  }
+};
+
+/**
+ * Produces a proof that the leaf at the specified index is part of the
+ * Merkle tree.  The proof lists the sibling hashes on the path from the
+ * leaf to the root, along with whether each sibling is on the left.
+ *
+ * @param {Array} leaves - The hashes included in the tree, in order.
+ * @param {Number} index - The position of the leaf to prove.
+ *
+ * @returns {Array} - The proof, in the form [{hash, left}, ...].
+ */
+exports.merkleProof = function(leaves, index) {
+  let proof = [];
+  let nodes = leaves.map(merkleLeaf);
+  while (nodes.length > 1) {
+    let isRight = index % 2 === 1;
+    let sibling = isRight ? index - 1 : index + 1;
+    if (sibling < nodes.length) {
+      proof.push({ hash: nodes[sibling], left: isRight });
+    }
+    nodes = merkleParents(nodes);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+};
+
+/**
+ * Verifies that a leaf is included in the Merkle tree with the specified root.
+ *
+ * @param {String} leaf - The hash to check for.
+ * @param {Array} proof - The proof produced by merkleProof.
+ * @param {String} root - The Merkle root of the tree.
+ *
+ * @returns {Boolean} - True if the proof is valid.
+ */
+exports.verifyMerkleProof = function(leaf, proof, root) {
+  let h = merkleLeaf(leaf);
+  for (let { hash, left } of proof) {
+    h = left ? merkleNode(hash, h) : merkleNode(h, hash);
+  }
+  return h === root;
+};
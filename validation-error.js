@@ -0,0 +1,90 @@
+"use strict";
+
+// Reason codes for rejected transactions
+const WRONG_CHAIN = "WRONG_CHAIN";
+const MALFORMED_TRANSACTION = "MALFORMED_TRANSACTION";
+const DUPLICATE = "DUPLICATE";
+const UNSIGNED = "UNSIGNED";
+const INVALID_SIGNATURE = "INVALID_SIGNATURE";
+const INSUFFICIENT_FUNDS = "INSUFFICIENT_FUNDS";
+const REPLAYED_NONCE = "REPLAYED_NONCE";
+const FUTURE_NONCE = "FUTURE_NONCE";
+const NOT_YET_VALID = "NOT_YET_VALID";
+const LOCK_TIME_TOO_FAR = "LOCK_TIME_TOO_FAR";
+const EXPIRED = "EXPIRED";
+const MEMPOOL_FULL = "MEMPOOL_FULL";
+const REPLACEMENT_FEE_TOO_LOW = "REPLACEMENT_FEE_TOO_LOW";
+
+// Reason codes for rejected blocks (which may also be rejected with WRONG_CHAIN)
+const INVALID_PROOF = "INVALID_PROOF";
+const INVALID_HEIGHT = "INVALID_HEIGHT";
+const INVALID_TARGET = "INVALID_TARGET";
+const TIMESTAMP_TOO_EARLY = "TIMESTAMP_TOO_EARLY";
+const TIMESTAMP_TOO_LATE = "TIMESTAMP_TOO_LATE";
+const BLOCK_TOO_LARGE = "BLOCK_TOO_LARGE";
+const INVALID_COINBASE = "INVALID_COINBASE";
+const INVALID_STATE_ROOT = "INVALID_STATE_ROOT";
+
+/**
+ * Describes why a transaction or a block was rejected.  The code is meant
+ * to be checked by programs, while the message is meant for people.
+ */
+module.exports = class ValidationError extends Error {
+  static get WRONG_CHAIN() { return WRONG_CHAIN; }
+  static get MALFORMED_TRANSACTION() { return MALFORMED_TRANSACTION; }
+  static get DUPLICATE() { return DUPLICATE; }
+  static get UNSIGNED() { return UNSIGNED; }
+  static get INVALID_SIGNATURE() { return INVALID_SIGNATURE; }
+  static get INSUFFICIENT_FUNDS() { return INSUFFICIENT_FUNDS; }
+  static get REPLAYED_NONCE() { return REPLAYED_NONCE; }
+  static get FUTURE_NONCE() { return FUTURE_NONCE; }
+  static get NOT_YET_VALID() { return NOT_YET_VALID; }
+  static get LOCK_TIME_TOO_FAR() { return LOCK_TIME_TOO_FAR; }
+  static get EXPIRED() { return EXPIRED; }
+  static get MEMPOOL_FULL() { return MEMPOOL_FULL; }
+  static get REPLACEMENT_FEE_TOO_LOW() { return REPLACEMENT_FEE_TOO_LOW; }
+
+  static get INVALID_PROOF() { return INVALID_PROOF; }
+  static get INVALID_HEIGHT() { return INVALID_HEIGHT; }
+  static get INVALID_TARGET() { return INVALID_TARGET; }
+  static get TIMESTAMP_TOO_EARLY() { return TIMESTAMP_TOO_EARLY; }
+  static get TIMESTAMP_TOO_LATE() { return TIMESTAMP_TOO_LATE; }
+  static get BLOCK_TOO_LARGE() { return BLOCK_TOO_LARGE; }
+  static get INVALID_COINBASE() { return INVALID_COINBASE; }
+  static get INVALID_STATE_ROOT() { return INVALID_STATE_ROOT; }
+
+  /**
+   * @constructor
+   * @param {Object} obj - The details of the error.
+   * @param {String} obj.code - The reason code, such as ValidationError.DUPLICATE.
+   * @param {String} obj.message - A description of the error.
+   * @param {String} [obj.txID] - The ID of the rejected transaction, if any.
+   * @param {String} [obj.blockID] - The ID of the rejected block, if any.
+   * @param {Object} [obj.details] - Any other information about the error,
+   *    such as the expected and actual values.
+   */
+  constructor({code, message, txID, blockID, details={}}) {
+    super(message);
+    this.name = "ValidationError";
+    this.code = code;
+    this.txID = txID;
+    this.blockID = blockID;
+    this.details = details;
+  }
+
+  /**
+   * Converts the error to a plain object, so that it can be logged or
+   * sent to other programs.
+   *
+   * @returns {Object} - The fields of the error.
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      txID: this.txID,
+      blockID: this.blockID,
+      details: this.details,
+    };
+  }
+};